@@ -8,56 +8,684 @@
 const GAME_CONSTANTS = {
   WIDTH: 800,
   HEIGHT: 600,
-  PLAYER_SPEED: 5,
-  ENEMY_SPEED: 4,
+  PLAYER_SPEED: 300, // pixels per second
+  ENEMY_SPEED: 240, // pixels per second
+  ENEMY_SPEED_PER_ROUND: 60,
+  SIMULATION_STEP: 1 / 60, // seconds per fixed simulation step
+  MAX_FRAME_TIME: 0.25, // longest frame the simulation will catch up on
   ENEMY_COUNT: 5,
   COLLECTIBLE_COUNT: 10,
   PLAYER_SIZE: 32,
   ENEMY_SIZE: 48,
   COLLECTIBLE_SIZE: 32,
   SCORE_PER_COLLECTIBLE: 10,
-  DAMAGE_PER_ENEMY: 10,
+  INVULNERABILITY_TIME: 1, // seconds of protection after a hit
+  KNOCKBACK_SPEED: 600, // pixels per second at the moment of impact
+  KNOCKBACK_TIME: 0.2, // seconds for the knockback to ease out
   MAX_HEALTH: 100,
   BOUNDS_PADDING: 16,
-  ENEMY_TYPES: ['random', 'chaser', 'patrol']
+  HIGH_SCORE_COUNT: 10,
+  HIGH_SCORE_NAME_LENGTH: 3,
+  MAX_CREDITS: 9,
+  ATTRACT_STAGE_DURATIONS: { logo: 7000, title: 8000, scores: 8000, demo: 15000 },
+  GAME_OVER_SCREEN_DELAY: 2500,
+  GAME_OVER_TRANSITION_DELAY: 900,
+  EDITOR_HISTORY_LIMIT: 100 // undo steps kept by the level editor
 };
 
-const config = {
-  type: Phaser.AUTO,
-  width: GAME_CONSTANTS.WIDTH,
-  height: GAME_CONSTANTS.HEIGHT,
-  parent: 'game-container',
-  scene: {
-    preload: preload,
-    create: create,
-    update: update
-  }
-};
-
-const game = new Phaser.Game(config);
-
-// Game state management
+// Game state management: app-wide state that outlives individual scenes
 const gameState = {
-  player: null,
-  cursors: null,
-  enemies: null,
-  collectibles: null,
-  score: 0,
-  scoreText: null,
-  health: GAME_CONSTANTS.MAX_HEALTH,
-  healthText: null,
-  round: 1,
-  roundText: null,
-  enemySpeed: GAME_CONSTANTS.ENEMY_SPEED,
-  enemyTypes: GAME_CONSTANTS.ENEMY_TYPES,
-  introComplete: false,
-  introElements: [],
-  introMusicInterval: null,
-  gameOver: false,
+  credits: 0,
   audioContext: null,
   isAudioInitialized: false,
   isAudioUnlocked: false,
-  escapePressed: false
+  isAudioSuspended: false
+};
+
+/**
+ * Run State
+ * Everything about a single play-through; scenes hand this object to each other
+ */
+const RunState = {
+  create(options = {}) {
+    const difficulty = options.difficulty || SettingsSystem.get('difficulty');
+    return {
+      score: 0,
+      health: GAME_CONSTANTS.MAX_HEALTH,
+      round: 1,
+      difficulty,
+      enemySpeed: GAME_CONSTANTS.ENEMY_SPEED * SettingsSystem.getDifficulty(difficulty).enemySpeed,
+      seed: options.seed || RandomSystem.createSeed(),
+      demo: Boolean(options.demo),
+      playback: options.playback || null,
+      level: options.level || null, // editor level used in place of random placement
+      playtest: Boolean(options.playtest), // launched from the editor, which it returns to
+      bossesDefeated: 0,
+      lives: 0, // spare lives, earned at score thresholds
+      nextExtraLife: ScoreSystem.EXTRA_LIFE_FIRST,
+      recording: null,
+      gameOver: false
+    };
+  }
+};
+
+/**
+ * Random System
+ * Seeded RNG for everything that affects gameplay, so the same seed and the same
+ * inputs always replay the same run. Cosmetic effects keep using Math.random.
+ */
+const RandomSystem = {
+  rng: null,
+  seed: null,
+
+  // ?seed=... pins every run to one seed (handy for reproducing bugs)
+  getUrlSeed() {
+    try {
+      const seed = new URLSearchParams(window.location.search).get('seed');
+      const cleaned = seed ? seed.replace(/[^A-Za-z0-9_-]/g, '').slice(0, 16) : '';
+      return cleaned || null;
+    } catch (error) {
+      console.error('Error reading seed from URL:', error);
+      return null;
+    }
+  },
+
+  createSeed() {
+    return this.getUrlSeed() || String(Phaser.Math.Between(100000, 999999));
+  },
+
+  // Reseed at the start of each run
+  start(seed) {
+    this.seed = String(seed);
+    this.rng = new Phaser.Math.RandomDataGenerator([this.seed]);
+    console.log(`🎲 RNG: Seeded with ${this.seed}`);
+  },
+
+  between(min, max) {
+    return this.rng.between(min, max);
+  },
+
+  floatBetween(min, max) {
+    return this.rng.realInRange(min, max);
+  },
+
+  pick(array) {
+    return this.rng.pick(array);
+  }
+};
+
+/**
+ * Settings System
+ * Player options persisted in localStorage: volumes and mutes, difficulty, CRT overlay and reduced effects
+ */
+const SettingsSystem = {
+  STORAGE_KEY: 'retroArcade.settings',
+  STORAGE_VERSION: 1,
+  VOLUME_STEP: 0.1,
+
+  DEFAULTS: {
+    masterVolume: 0.8,
+    musicVolume: 0.7,
+    sfxVolume: 0.8,
+    masterMuted: false,
+    musicMuted: false,
+    sfxMuted: false,
+    difficulty: 'normal',
+    crtOverlay: true,
+    reducedEffects: false
+  },
+
+  // Multipliers on ENEMY_SPEED, enemy damage and the per-round speed-up
+  DIFFICULTIES: {
+    easy: { label: 'EASY', enemySpeed: 0.75, damage: 0.5, roundSpeed: 0.6 },
+    normal: { label: 'NORMAL', enemySpeed: 1, damage: 1, roundSpeed: 1 },
+    hard: { label: 'HARD', enemySpeed: 1.25, damage: 1.5, roundSpeed: 1.4 }
+  },
+
+  // Effect intensities used when reduced effects is on: no shake or glitch, softer flashes
+  REDUCED_EFFECTS: { shake: 0, flash: 0.3, particles: 0.5, glitch: 0, electric: 0.3 },
+  FULL_EFFECTS: { shake: 1, flash: 1, particles: 1, glitch: 1, electric: 1 },
+
+  values: null,
+
+  get(key) {
+    if (!this.values) {
+      this.values = this.load();
+    }
+    return this.values[key];
+  },
+
+  set(key, value) {
+    this.get(key);
+    this.values[key] = value;
+    this.save();
+    this.apply();
+  },
+
+  load() {
+    try {
+      const raw = window.localStorage.getItem(this.STORAGE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      if (!data || data.version !== this.STORAGE_VERSION || typeof data.settings !== 'object') {
+        return Object.assign({}, this.DEFAULTS);
+      }
+      return this.sanitize(data.settings);
+    } catch (error) {
+      console.warn('❌ SETTINGS: Failed to load settings, using defaults:', error);
+      return Object.assign({}, this.DEFAULTS);
+    }
+  },
+
+  save() {
+    try {
+      window.localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+        version: this.STORAGE_VERSION,
+        settings: this.values
+      }));
+    } catch (error) {
+      console.warn('❌ SETTINGS: Failed to save settings:', error);
+    }
+  },
+
+  sanitize(settings) {
+    const values = Object.assign({}, this.DEFAULTS);
+    ['masterVolume', 'musicVolume', 'sfxVolume'].forEach(key => {
+      const volume = Number(settings[key]);
+      if (Number.isFinite(volume)) {
+        values[key] = Phaser.Math.Clamp(Math.round(volume * 10) / 10, 0, 1);
+      }
+    });
+    if (this.DIFFICULTIES[settings.difficulty]) {
+      values.difficulty = settings.difficulty;
+    }
+    ['masterMuted', 'musicMuted', 'sfxMuted', 'crtOverlay', 'reducedEffects'].forEach(key => {
+      if (typeof settings[key] === 'boolean') {
+        values[key] = settings[key];
+      }
+    });
+    return values;
+  },
+
+  reset() {
+    this.values = Object.assign({}, this.DEFAULTS);
+    this.save();
+    this.apply();
+  },
+
+  getDifficulty(name) {
+    return this.DIFFICULTIES[name] || this.DIFFICULTIES.normal;
+  },
+
+  // Push the settings out to the mixer, the page and the effects system (called at boot and on change)
+  apply() {
+    AudioSystem.applyVolumes();
+    const container = document.getElementById('game-container');
+    if (container) {
+      container.classList.toggle('crt-off', !this.get('crtOverlay'));
+    }
+    ArcadeEffectsSystem.configure(this.get('reducedEffects') ? this.REDUCED_EFFECTS : this.FULL_EFFECTS);
+    console.log('⚙️ SETTINGS: Applied', this.values);
+  }
+};
+
+/**
+ * Input System
+ * Named actions (move, confirm, back, pause, ability, coin) mapped from the keyboard
+ * and Gamepad API pads; key and button bindings are remappable and saved in localStorage
+ */
+const InputSystem = {
+  STORAGE_KEY: 'retroArcade.bindings',
+  STORAGE_VERSION: 1,
+  DEADZONE: 0.25, // Stick tilt ignored around the centre
+  STICK_PRESS: 0.5, // Tilt at which the stick counts as a menu direction press
+
+  // Labels double as the rows of the controls screen
+  ACTIONS: {
+    up: 'MOVE UP',
+    down: 'MOVE DOWN',
+    left: 'MOVE LEFT',
+    right: 'MOVE RIGHT',
+    confirm: 'CONFIRM',
+    back: 'BACK',
+    pause: 'PAUSE',
+    ability: 'ABILITY',
+    fire: 'FIRE',
+    coin: 'INSERT COIN'
+  },
+
+  // Phaser key names, a primary and an alternate per action. Overlaps are fine when the
+  // actions are never read on the same screen (SPACE confirms in menus and is the in-game ability)
+  DEFAULT_KEYS: {
+    up: ['UP', 'W'],
+    down: ['DOWN', 'S'],
+    left: ['LEFT', 'A'],
+    right: ['RIGHT', 'D'],
+    confirm: ['ENTER', 'SPACE'],
+    back: ['ESC', 'BACKSPACE'],
+    pause: ['P', null],
+    ability: ['SPACE', 'SHIFT'],
+    fire: ['F', 'J'],
+    coin: ['C', 'FIVE']
+  },
+
+  // Standard gamepad mapping: d-pad 12-15, A 0, B 1, X 2, RB 5, Select 8, Start 9
+  DEFAULT_BUTTONS: {
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15,
+    confirm: 0,
+    back: 1,
+    pause: 9,
+    ability: 2,
+    fire: 5,
+    coin: 8
+  },
+
+  // Standard mapping names for the controls screen
+  BUTTON_NAMES: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START', 'L3', 'R3', 'D-UP', 'D-DOWN', 'D-LEFT', 'D-RIGHT', 'HOME'],
+
+  MOVE_ACTIONS: ['up', 'down', 'left', 'right'],
+
+  bindings: null,
+  // On-screen controls (TouchControlsSystem) feed in here alongside the keyboard and pads
+  virtual: { held: {}, stick: null },
+
+  getBindings() {
+    if (!this.bindings) {
+      this.bindings = this.load();
+    }
+    return this.bindings;
+  },
+
+  createDefaults() {
+    const keys = {};
+    Object.keys(this.DEFAULT_KEYS).forEach(action => {
+      keys[action] = this.DEFAULT_KEYS[action].slice();
+    });
+    return { keys, buttons: Object.assign({}, this.DEFAULT_BUTTONS) };
+  },
+
+  load() {
+    try {
+      const raw = window.localStorage.getItem(this.STORAGE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      if (!data || data.version !== this.STORAGE_VERSION || typeof data.bindings !== 'object') {
+        return this.createDefaults();
+      }
+      return this.sanitize(data.bindings);
+    } catch (error) {
+      console.warn('❌ INPUT: Failed to load bindings, using defaults:', error);
+      return this.createDefaults();
+    }
+  },
+
+  save() {
+    try {
+      window.localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+        version: this.STORAGE_VERSION,
+        bindings: this.bindings
+      }));
+    } catch (error) {
+      console.warn('❌ INPUT: Failed to save bindings:', error);
+    }
+  },
+
+  // Unknown key names and non-integer buttons fall back to the defaults, action by action
+  sanitize(bindings) {
+    const values = this.createDefaults();
+    Object.keys(this.ACTIONS).forEach(action => {
+      const keys = bindings.keys && bindings.keys[action];
+      if (Array.isArray(keys) && keys.length === 2 &&
+        keys.every(name => name === null || this.getKeyCode(name) !== undefined)) {
+        values.keys[action] = keys.slice();
+      }
+      const button = bindings.buttons && bindings.buttons[action];
+      if (Number.isInteger(button) && button >= 0) {
+        values.buttons[action] = button;
+      }
+    });
+    return values;
+  },
+
+  reset() {
+    this.bindings = this.createDefaults();
+    this.save();
+  },
+
+  getKeyCode(name) {
+    return Phaser.Input.Keyboard.KeyCodes[name];
+  },
+
+  getKeyName(keyCode) {
+    return Object.keys(Phaser.Input.Keyboard.KeyCodes).find(name => Phaser.Input.Keyboard.KeyCodes[name] === keyCode);
+  },
+
+  // Binding a key another action already uses swaps the two, so nothing is silently lost.
+  // Binding into an empty slot has nothing to swap back, so it can't take another action's
+  // only key (returns false). A null name clears the slot.
+  setKey(action, slot, name) {
+    const keys = this.getBindings().keys;
+    const previous = keys[action][slot];
+    if (name !== null) {
+      const owners = Object.keys(keys).filter(other => other !== action && keys[other].includes(name));
+      if (previous === null && owners.some(other => keys[other].filter(Boolean).length === 1)) {
+        return false;
+      }
+      Object.keys(keys).forEach(other => {
+        const index = keys[other].indexOf(name);
+        if (index !== -1 && !(other === action && index === slot)) {
+          keys[other][index] = previous;
+        }
+      });
+    }
+    keys[action][slot] = name;
+    this.save();
+    return true;
+  },
+
+  setButton(action, button) {
+    const buttons = this.getBindings().buttons;
+    Object.keys(buttons).forEach(other => {
+      if (other !== action && buttons[other] === button) {
+        buttons[other] = buttons[action];
+      }
+    });
+    buttons[action] = button;
+    this.save();
+  },
+
+  // 'ENTER/SPACE' style label for prompts
+  describe(action) {
+    return this.getBindings().keys[action].filter(Boolean).join('/');
+  },
+
+  getKeyActions(keyCode) {
+    const name = this.getKeyName(keyCode);
+    const keys = this.getBindings().keys;
+    return Object.keys(keys).filter(action => name && keys[action].includes(name));
+  },
+
+  describeButton(button) {
+    return this.BUTTON_NAMES[button] || `BUTTON ${button}`;
+  },
+
+  getConnectedPads() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    return pads.filter(pad => pad && pad.connected);
+  },
+
+  // Raw button indexes held on any pad (used when rebinding)
+  getHeldButtons() {
+    const held = [];
+    this.getConnectedPads().forEach(pad => {
+      pad.buttons.forEach((button, index) => {
+        if (button.pressed && !held.includes(index)) held.push(index);
+      });
+    });
+    return held;
+  },
+
+  // Merged state of every connected pad: bound buttons held, plus the left stick past the deadzone
+  readGamepads() {
+    const state = { held: {}, stick: null };
+    const buttons = this.getBindings().buttons;
+
+    this.getConnectedPads().forEach(pad => {
+      Object.keys(buttons).forEach(action => {
+        const button = pad.buttons[buttons[action]];
+        if (button && button.pressed) {
+          state.held[action] = true;
+        }
+      });
+      if (!state.stick) {
+        state.stick = this.applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+      }
+    });
+    return state;
+  },
+
+  // Radial deadzone, rescaled so movement starts from zero at its edge
+  applyDeadzone(x, y) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude < this.DEADZONE) return null;
+    const scale = Math.min(1, (magnitude - this.DEADZONE) / (1 - this.DEADZONE)) / magnitude;
+    return { x: x * scale, y: y * scale };
+  },
+
+  // Pad actions held this frame; a well-tilted stick also presses the matching direction
+  getPadActions() {
+    const { held, stick } = this.readGamepads();
+    const actions = Object.keys(held);
+    if (stick) {
+      if (stick.x <= -this.STICK_PRESS) actions.push('left');
+      if (stick.x >= this.STICK_PRESS) actions.push('right');
+      if (stick.y <= -this.STICK_PRESS) actions.push('up');
+      if (stick.y >= this.STICK_PRESS) actions.push('down');
+    }
+    return actions;
+  },
+
+  // Per-scene routing: key presses and newly pressed pad buttons are turned into actions.
+  // Everything is torn down with the scene, and a paused scene hears nothing.
+  attach(scene) {
+    if (scene.actionInput) return scene.actionInput;
+
+    const state = {
+      listeners: [],
+      keys: {},
+      // Buttons already held when the scene starts (the press that opened it) don't count
+      padActions: this.getPadActions()
+    };
+    scene.actionInput = state;
+
+    const onKey = event => this.dispatch(state, this.getKeyActions(event.keyCode));
+    const poll = () => {
+      const held = this.getPadActions();
+      const pressed = held.filter(action => !state.padActions.includes(action));
+      state.padActions = held;
+      if (pressed.length) this.dispatch(state, pressed);
+    };
+
+    // Same for a scene coming back from pause: the press that resumed it belongs to the menu above
+    const resync = () => {
+      state.padActions = this.getPadActions();
+    };
+
+    scene.input.keyboard.on('keydown', onKey);
+    scene.events.on('update', poll);
+    scene.events.on('resume', resync);
+    scene.events.once('shutdown', () => {
+      scene.input.keyboard.off('keydown', onKey);
+      scene.events.off('update', poll);
+      scene.events.off('resume', resync);
+      scene.actionInput = null;
+    });
+    return state;
+  },
+
+  // Calls back with the action for each press of any of the given actions (once per press,
+  // even if it is bound to several of them). Returns a function that removes the listener.
+  on(scene, actions, callback) {
+    const state = this.attach(scene);
+    const listener = { actions: [].concat(actions), callback };
+    state.listeners.push(listener);
+    return () => {
+      const index = state.listeners.indexOf(listener);
+      if (index !== -1) state.listeners.splice(index, 1);
+    };
+  },
+
+  dispatch(state, pressed) {
+    state.listeners.slice().forEach(listener => {
+      const action = listener.actions.find(name => pressed.includes(name));
+      if (action && state.listeners.includes(listener)) {
+        listener.callback(action);
+      }
+    });
+  },
+
+  // A tap on an on-screen button: delivered to the scene's listeners like a key press
+  pressVirtual(scene, action) {
+    this.dispatch(this.attach(scene), [action]);
+  },
+
+  setVirtualHeld(action, isDown) {
+    this.virtual.held[action] = isDown;
+  },
+
+  setVirtualStick(stick) {
+    this.virtual.stick = stick;
+  },
+
+  clearVirtual() {
+    this.virtual = { held: {}, stick: null };
+  },
+
+  isKeyDown(scene, action) {
+    const state = this.attach(scene);
+    return this.getBindings().keys[action].some(name => {
+      if (!name) return false;
+      const code = this.getKeyCode(name);
+      if (!state.keys[code]) {
+        state.keys[code] = scene.input.keyboard.addKey(code);
+      }
+      return state.keys[code].isDown;
+    });
+  },
+
+  // Live gameplay controls in the shape the replay system records: held movement, ability
+  // and fire, plus the analog stick when it is tilted
+  getControls(scene) {
+    const pad = this.readGamepads();
+    const controls = { stick: pad.stick || this.virtual.stick };
+    this.MOVE_ACTIONS.concat('ability', 'fire').forEach(action => {
+      controls[action] = {
+        isDown: this.isKeyDown(scene, action) || Boolean(pad.held[action]) || Boolean(this.virtual.held[action])
+      };
+    });
+    return controls;
+  }
+};
+
+/**
+ * Touch Controls System
+ * On-screen joystick plus ability and pause buttons for touch devices. They feed
+ * InputSystem, so the run is driven (and recorded) exactly like keyboard or pad play.
+ */
+const TouchControlsSystem = {
+  JOYSTICK_RADIUS: 60,
+  KNOB_RADIUS: 26,
+  DEADZONE: 0.15, // Fraction of the joystick radius ignored around the centre
+  BUTTON_RADIUS: 44,
+  PAUSE_RADIUS: 20,
+  HUD_CLEARANCE: 100, // Below the lowest HUD line (the combo readout ends near y 96), so touches there don't grab the joystick
+  DEPTH: 100,
+
+  isTouchDevice() {
+    return 'ontouchstart' in window || (navigator.maxTouchPoints || 0) > 0;
+  },
+
+  // Adds the controls to a live run; does nothing on devices without touch
+  attach(scene) {
+    if (!this.isTouchDevice()) return;
+
+    // Joystick and a button held together, plus a spare touch
+    scene.input.addPointer(2);
+
+    const padding = GAME_CONSTANTS.BOUNDS_PADDING;
+    const home = {
+      x: padding * 2 + this.JOYSTICK_RADIUS,
+      y: GAME_CONSTANTS.HEIGHT - padding * 2 - this.JOYSTICK_RADIUS
+    };
+    const base = scene.add.circle(home.x, home.y, this.JOYSTICK_RADIUS, 0xffffff, 0.08)
+      .setStrokeStyle(2, 0x00ffff, 0.6).setDepth(this.DEPTH);
+    const knob = scene.add.circle(home.x, home.y, this.KNOB_RADIUS, 0x00ffff, 0.35).setDepth(this.DEPTH);
+    const joystick = { base, knob, home, pointerId: null };
+
+    const heldButtons = {}; // pointer id -> action
+    this.createButton(scene, GAME_CONSTANTS.WIDTH - padding * 2 - this.BUTTON_RADIUS,
+      GAME_CONSTANTS.HEIGHT - padding * 2 - this.BUTTON_RADIUS, this.BUTTON_RADIUS, 'ACT', 'ability', heldButtons);
+    this.createButton(scene, GAME_CONSTANTS.WIDTH - padding * 3 - this.BUTTON_RADIUS * 3,
+      GAME_CONSTANTS.HEIGHT - padding * 2 - this.BUTTON_RADIUS, this.BUTTON_RADIUS, 'FIRE', 'fire', heldButtons);
+    // Top-right corner, right of the health readout
+    this.createButton(scene, GAME_CONSTANTS.WIDTH - padding - this.PAUSE_RADIUS,
+      padding + this.PAUSE_RADIUS, this.PAUSE_RADIUS, 'II', 'pause', heldButtons);
+
+    // A touch anywhere in the lower left of the screen picks up the joystick there
+    scene.input.on('pointerdown', (pointer, over) => {
+      if (over.length || joystick.pointerId !== null) return;
+      if (pointer.x > GAME_CONSTANTS.WIDTH / 2 || pointer.y < this.HUD_CLEARANCE) return;
+
+      joystick.pointerId = pointer.id;
+      base.setPosition(
+        Phaser.Math.Clamp(pointer.x, this.JOYSTICK_RADIUS, GAME_CONSTANTS.WIDTH / 2 - this.JOYSTICK_RADIUS),
+        Phaser.Math.Clamp(pointer.y, this.HUD_CLEARANCE + this.JOYSTICK_RADIUS, GAME_CONSTANTS.HEIGHT - this.JOYSTICK_RADIUS));
+      this.moveJoystick(joystick, pointer);
+    });
+
+    scene.input.on('pointermove', pointer => {
+      if (pointer.id === joystick.pointerId) this.moveJoystick(joystick, pointer);
+    });
+
+    const release = pointer => {
+      if (pointer.id === joystick.pointerId) this.releaseJoystick(joystick);
+      if (heldButtons[pointer.id]) {
+        InputSystem.setVirtualHeld(heldButtons[pointer.id], false);
+        delete heldButtons[pointer.id];
+      }
+    };
+    scene.input.on('pointerup', release);
+    scene.input.on('pointerupoutside', release);
+
+    // Lifting a finger while paused never reaches this scene, so let go of everything
+    const releaseAll = () => {
+      this.releaseJoystick(joystick);
+      Object.keys(heldButtons).forEach(id => delete heldButtons[id]);
+      InputSystem.clearVirtual();
+    };
+    scene.events.on('pause', releaseAll);
+    scene.events.once('shutdown', () => {
+      scene.events.off('pause', releaseAll);
+      releaseAll();
+    });
+  },
+
+  createButton(scene, x, y, radius, label, action, heldButtons) {
+    const button = scene.add.circle(x, y, radius, 0xff00ff, 0.2)
+      .setStrokeStyle(2, 0xff00ff, 0.7).setDepth(this.DEPTH);
+    scene.add.text(x, y, label, {
+      fontSize: radius > this.PAUSE_RADIUS ? '12px' : '10px',
+      fill: '#ffffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setDepth(this.DEPTH);
+
+    button.setInteractive();
+    button.on('pointerdown', pointer => {
+      heldButtons[pointer.id] = action;
+      InputSystem.setVirtualHeld(action, true);
+      InputSystem.pressVirtual(scene, action);
+    });
+    return button;
+  },
+
+  moveJoystick(joystick, pointer) {
+    const dx = pointer.x - joystick.base.x;
+    const dy = pointer.y - joystick.base.y;
+    const distance = Math.min(Math.sqrt(dx * dx + dy * dy), this.JOYSTICK_RADIUS);
+    const angle = Math.atan2(dy, dx);
+    joystick.knob.setPosition(joystick.base.x + Math.cos(angle) * distance, joystick.base.y + Math.sin(angle) * distance);
+
+    const tilt = distance / this.JOYSTICK_RADIUS;
+    InputSystem.setVirtualStick(tilt < this.DEADZONE ? null : { x: Math.cos(angle) * tilt, y: Math.sin(angle) * tilt });
+  },
+
+  releaseJoystick(joystick) {
+    joystick.pointerId = null;
+    joystick.base.setPosition(joystick.home.x, joystick.home.y);
+    joystick.knob.setPosition(joystick.home.x, joystick.home.y);
+    InputSystem.setVirtualStick(null);
+  }
 };
 
 /**
@@ -65,6 +693,12 @@ const gameState = {
  * Handles retro-style sound generation using Web Audio API
  */
 const AudioSystem = {
+  // Mixing graph: music and sfx buses -> master gain -> limiter -> speakers
+  buses: null,
+  DUCK_LEVEL: 0.35, // music level while ducked, relative to its setting
+  DUCK_ATTACK: 0.03,
+  DUCK_RELEASE: 0.4,
+
   init() {
     try {
       if (!gameState.audioContext) {
@@ -72,6 +706,7 @@ const AudioSystem = {
         gameState.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         gameState.isAudioInitialized = true;
         console.log(`🎵 AUDIO: AudioContext created with state: ${gameState.audioContext.state}`);
+        this.createMixer();
       }
 
       if (gameState.audioContext.state === 'suspended') {
@@ -121,12 +756,101 @@ const AudioSystem = {
     }
   },
 
-  createBeep(frequency, duration, type = 'square', volume = 0.1) {
-    console.log(`🎵 AUDIO: Creating beep - Freq: ${frequency}Hz, Duration: ${duration}s, Type: ${type}, Volume: ${volume}`);
+  createMixer() {
+    const context = gameState.audioContext;
+
+    // Fast, hard compression just under 0 dBFS so stacked notes can't clip
+    const limiter = context.createDynamicsCompressor();
+    limiter.threshold.setValueAtTime(-6, context.currentTime);
+    limiter.knee.setValueAtTime(0, context.currentTime);
+    limiter.ratio.setValueAtTime(20, context.currentTime);
+    limiter.attack.setValueAtTime(0.003, context.currentTime);
+    limiter.release.setValueAtTime(0.1, context.currentTime);
+    limiter.connect(context.destination);
+
+    const master = context.createGain();
+    master.connect(limiter);
+
+    const music = context.createGain();
+    music.connect(master);
+    const sfx = context.createGain();
+    sfx.connect(master);
+
+    this.buses = { master, music, sfx, limiter };
+    this.applyVolumes();
+    console.log('🎚️ AUDIO: Mixer created (music, sfx -> master -> limiter)');
+  },
+
+  getBusLevel(bus) {
+    if (SettingsSystem.get(`${bus}Muted`)) return 0;
+    return SettingsSystem.get(`${bus}Volume`);
+  },
+
+  // Set the bus gains from the saved settings (called when the mixer is built and when settings change)
+  applyVolumes() {
+    if (!this.buses) return;
+    const now = gameState.audioContext.currentTime;
+    ['master', 'music', 'sfx'].forEach(bus => {
+      const gain = this.buses[bus].gain;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(this.getBusLevel(bus), now);
+    });
+  },
+
+  setMuted(bus, muted) {
+    SettingsSystem.set(`${bus}Muted`, muted);
+  },
+
+  toggleMute(bus = 'master') {
+    this.setMuted(bus, !SettingsSystem.get(`${bus}Muted`));
+    console.log(`🔇 AUDIO: ${bus} ${SettingsSystem.get(`${bus}Muted`) ? 'muted' : 'unmuted'}`);
+  },
+
+  // Dip the music under an important sound effect, then let it come back up
+  duck(hold = 0.3) {
+    if (!this.buses) return;
+    const now = gameState.audioContext.currentTime;
+    const level = this.getBusLevel('music');
+    const gain = this.buses.music.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(level * this.DUCK_LEVEL, now + this.DUCK_ATTACK);
+    gain.setValueAtTime(level * this.DUCK_LEVEL, now + this.DUCK_ATTACK + hold);
+    gain.linearRampToValueAtTime(level, now + this.DUCK_ATTACK + hold + this.DUCK_RELEASE);
+  },
+
+  // Pausing suspends the context; beeps still queued on timers are dropped until resume
+  suspend() {
+    gameState.isAudioSuspended = true;
+    if (gameState.audioContext && gameState.audioContext.state === 'running') {
+      gameState.audioContext.suspend().then(() => {
+        console.log('⏸️ AUDIO: AudioContext suspended');
+      });
+    }
+  },
+
+  resume() {
+    gameState.isAudioSuspended = false;
+    if (gameState.isAudioUnlocked && gameState.audioContext && gameState.audioContext.state === 'suspended') {
+      gameState.audioContext.resume().then(() => {
+        console.log('▶️ AUDIO: AudioContext resumed');
+      });
+    }
+  },
+
+  // Whether anything sent to the bus would be heard right now (initialising the context on first use)
+  canPlay(bus) {
+    if (this.getBusLevel(bus) <= 0 || this.getBusLevel('master') <= 0) {
+      return false; // Muted or turned all the way down
+    }
 
     if (!gameState.isAudioUnlocked) {
-      console.log('🔒 AUDIO: Audio not unlocked yet, skipping beep to prevent autoplay issues');
-      return; // Skip audio if not unlocked to prevent loud bursts
+      console.log('🔒 AUDIO: Audio not unlocked yet, skipping sound to prevent autoplay issues');
+      return false; // Skip audio if not unlocked to prevent loud bursts
+    }
+
+    if (gameState.isAudioSuspended) {
+      return false; // Paused
     }
 
     if (!gameState.isAudioInitialized) {
@@ -135,163 +859,977 @@ const AudioSystem = {
     }
 
     if (!gameState.isAudioInitialized) {
-      console.warn('❌ AUDIO: Initialization failed, skipping beep');
-      return; // Skip audio if initialization failed
+      console.warn('❌ AUDIO: Initialization failed, skipping sound');
+      return false; // Skip audio if initialization failed
+    }
+
+    return true;
+  },
+
+  // bus is 'sfx' or 'music'; the bus and master gains apply the player's volume settings.
+  // startTime is on the AudioContext clock, so the music sequencer can queue notes ahead.
+  createBeep(frequency, duration, type = 'square', volume = 0.1, bus = 'sfx', startTime = 0) {
+    if (!this.canPlay(bus)) {
+      return;
     }
 
     try {
-      const currentTime = gameState.audioContext.currentTime;
-      console.log(`⏰ AUDIO: Current audio context time: ${currentTime.toFixed(3)}s`);
+      const currentTime = Math.max(startTime, gameState.audioContext.currentTime);
 
       const oscillator = gameState.audioContext.createOscillator();
       const gainNode = gameState.audioContext.createGain();
 
       oscillator.connect(gainNode);
-      gainNode.connect(gameState.audioContext.destination);
+      gainNode.connect(this.buses ? this.buses[bus] : gameState.audioContext.destination);
 
       oscillator.type = type;
       oscillator.frequency.setValueAtTime(frequency, currentTime);
 
-      // DEBUG: Check current gain levels
-      const activeNodes = gameState.audioContext.destination.numberOfInputs || 0;
-      console.log(`🔗 AUDIO: Active audio nodes: ${activeNodes}, Target volume: ${volume}`);
-
       gainNode.gain.setValueAtTime(0, currentTime);
       gainNode.gain.linearRampToValueAtTime(volume, currentTime + 0.01);
       gainNode.gain.exponentialRampToValueAtTime(0.001, currentTime + duration);
 
       oscillator.start(currentTime);
       oscillator.stop(currentTime + duration);
-
-      console.log(`✅ AUDIO: Beep scheduled - Start: ${currentTime.toFixed(3)}s, End: ${(currentTime + duration).toFixed(3)}s`);
     } catch (error) {
       console.warn('❌ AUDIO: Playback failed:', error);
     }
   },
 
+  // Sound effects are SfxSystem patches; these keep the call sites readable
   playCollectSound() {
-    this.createBeep(800, 0.1, 'square', 0.15);
-    setTimeout(() => this.createBeep(1000, 0.1, 'square', 0.1), 50);
+    SfxSystem.play('collect');
   },
 
   playDamageSound() {
-    this.createBeep(400, 0.2, 'sawtooth', 0.2);
-    setTimeout(() => this.createBeep(200, 0.3, 'sawtooth', 0.15), 100);
+    SfxSystem.play('damage');
   },
 
   playStartSound() {
-    const melody = [523, 659, 784, 1047]; // C5, E5, G5, C6
-    melody.forEach((freq, index) => {
-      setTimeout(() => this.createBeep(freq, 0.15, 'square', 0.2), index * 150);
-    });
+    SfxSystem.play('start');
   },
 
   playGameOverSound() {
-    const melody = [523, 440, 349, 294]; // C5, A4, F4, D4
-    melody.forEach((freq, index) => {
-      setTimeout(() => this.createBeep(freq, 0.2, 'sawtooth', 0.25), index * 200);
-    });
+    SfxSystem.play('gameOver');
   },
 
-  playNewRoundSound() {
-    this.createBeep(300, 0.2, 'square', 0.2);
-    setTimeout(() => this.createBeep(400, 0.2, 'square', 0.15), 150);
-    setTimeout(() => this.createBeep(500, 0.3, 'square', 0.1), 300);
+  playCoinSound() {
+    SfxSystem.play('coin');
   },
 
-  startIntroMusic() {
-    console.log('🎵 AUDIO: Starting enhanced 80s intro background music');
+  playBlipSound() {
+    SfxSystem.play('blip');
+  },
 
-    if (!gameState.isAudioUnlocked) {
-      console.log('🔒 AUDIO: Audio not unlocked yet, delaying intro music start');
-      // Retry in 100ms until unlocked
-      setTimeout(() => this.startIntroMusic(), 100);
-      return;
-    }
+  playConfirmSound() {
+    SfxSystem.play('confirm');
+  },
 
-    // Enhanced 80s synth-style background melody with bass and lead
-    const bassLine = [
-      { freq: 130.81, duration: 0.4, type: 'sawtooth', volume: 0.3 }, // C3
-      { freq: 164.81, duration: 0.4, type: 'sawtooth', volume: 0.3 }, // E3
-      { freq: 196.00, duration: 0.4, type: 'sawtooth', volume: 0.3 }, // G3
-      { freq: 261.63, duration: 0.6, type: 'sawtooth', volume: 0.4 }, // C4
-      { freq: 196.00, duration: 0.3, type: 'sawtooth', volume: 0.3 }, // G3
-      { freq: 164.81, duration: 0.3, type: 'sawtooth', volume: 0.3 }, // E3
-      { freq: 130.81, duration: 0.8, type: 'sawtooth', volume: 0.4 }  // C3
-    ];
+  playBackSound() {
+    SfxSystem.play('back');
+  },
 
-    const leadLine = [
-      { freq: 523.25, duration: 0.2, type: 'square', volume: 0.2 }, // C5
-      { freq: 659.25, duration: 0.2, type: 'square', volume: 0.2 }, // E5
-      { freq: 783.99, duration: 0.3, type: 'square', volume: 0.25 }, // G5
-      { freq: 1046.50, duration: 0.4, type: 'square', volume: 0.3 }, // C6
-      { freq: 783.99, duration: 0.2, type: 'square', volume: 0.2 }, // G5
-      { freq: 659.25, duration: 0.2, type: 'square', volume: 0.2 }, // E5
-      { freq: 523.25, duration: 0.6, type: 'square', volume: 0.25 }, // C5
-      { freq: 659.25, duration: 0.2, type: 'square', volume: 0.2 }, // E5
-      { freq: 783.99, duration: 0.3, type: 'square', volume: 0.25 }, // G5
-      { freq: 1046.50, duration: 0.4, type: 'square', volume: 0.3 }, // C6
-      { freq: 1318.51, duration: 0.3, type: 'square', volume: 0.35 }, // E6
-      { freq: 1567.98, duration: 0.8, type: 'square', volume: 0.4 }  // G6
-    ];
+  playHighScoreSound() {
+    SfxSystem.play('highScore');
+  },
 
-    const arpeggio = [
-      { freq: 523.25, duration: 0.15, type: 'triangle', volume: 0.1 }, // C5
-      { freq: 659.25, duration: 0.15, type: 'triangle', volume: 0.1 }, // E5
-      { freq: 783.99, duration: 0.15, type: 'triangle', volume: 0.1 }, // G5
-      { freq: 1046.50, duration: 0.15, type: 'triangle', volume: 0.1 } // C6
-    ];
+  playShieldSound() {
+    SfxSystem.play('shield');
+  },
 
-    gameState.introMusicInterval = setInterval(() => {
-      if (!gameState.introComplete && gameState.isAudioInitialized && gameState.isAudioUnlocked) {
-        // Play bass line
-        bassLine.forEach((note, index) => {
-          setTimeout(() => {
-            if (!gameState.introComplete) {
-              this.createBeep(note.freq, note.duration, note.type, note.volume);
-            }
-          }, index * 150);
-        });
+  playShieldBreakSound() {
+    SfxSystem.play('shieldBreak');
+  },
 
-        // Play lead line with slight delay
-        leadLine.forEach((note, index) => {
-          setTimeout(() => {
-            if (!gameState.introComplete) {
-              this.createBeep(note.freq, note.duration, note.type, note.volume);
-            }
-          }, 100 + index * 150);
-        });
+  playSpeedBoostSound() {
+    SfxSystem.play('speedBoost');
+  },
 
-        // Play arpeggio every other cycle for more 80s feel
-        if (Math.random() > 0.5) {
-          setTimeout(() => {
-            if (!gameState.introComplete) {
-              arpeggio.forEach((note, index) => {
-                setTimeout(() => {
-                  if (!gameState.introComplete) {
-                    this.createBeep(note.freq, note.duration, note.type, note.volume);
-                  }
-                }, index * 80);
-              });
-            }
-          }, 500);
-        }
-      }
-    }, 2800); // Repeat every 2.8 seconds for more dynamic feel
+  playMagnetSound() {
+    SfxSystem.play('magnet');
+  },
+
+  playEmpSound() {
+    SfxSystem.play('emp');
+  },
+
+  playDashSound() {
+    SfxSystem.play('dash');
+  },
+
+  playPulseSound() {
+    SfxSystem.play('pulse');
+  },
+
+  playAbilityReadySound() {
+    SfxSystem.play('abilityReady');
+  },
+
+  playShootSound() {
+    SfxSystem.play('shoot');
+  },
+
+  playEnemyDestroyedSound() {
+    SfxSystem.play('enemyDestroyed');
+  },
+
+  playBossWarningSound() {
+    SfxSystem.play('bossWarning');
+  },
+
+  playBossHitSound() {
+    SfxSystem.play('bossHit');
+  },
+
+  playBossExplodeSound() {
+    SfxSystem.play('bossExplode');
+  },
+
+  playTallyTickSound() {
+    SfxSystem.play('tallyTick');
+  },
+
+  playExtraLifeSound() {
+    SfxSystem.play('extraLife');
+  },
+
+  playAchievementSound() {
+    SfxSystem.play('achievement');
+  },
 
-    console.log('✅ AUDIO: Enhanced 80s intro music started with interval ID:', gameState.introMusicInterval);
+  startIntroMusic() {
+    console.log('🎵 AUDIO: Starting enhanced 80s intro background music');
+
+    // The attract loop shows the logo repeatedly; only ever run one music loop
+    if (this.isIntroMusicPlaying()) {
+      console.log('✅ AUDIO: Intro music already playing');
+      return;
+    }
+
+    // The sequencer waits for the audio unlock itself, so this can be called straight away
+    MusicSystem.play('intro');
+  },
+
+  isIntroMusicPlaying() {
+    return MusicSystem.isPlaying('intro');
   },
 
   stopIntroMusic() {
     console.log('🎵 AUDIO: Stopping intro background music');
-    if (gameState.introMusicInterval) {
-      clearInterval(gameState.introMusicInterval);
-      gameState.introMusicInterval = null;
+    if (this.isIntroMusicPlaying()) {
+      MusicSystem.stop();
       console.log('✅ AUDIO: Intro music stopped');
     }
   }
 };
 
+/**
+ * Music System
+ * Pattern sequencer that schedules notes a little ahead on the AudioContext clock.
+ * A song has tracks (one voice each), a bank of patterns, sections that say which pattern each
+ * track plays, and an arrangement of sections. Pattern notes are [step, note, lengthInSteps, volume].
+ */
+const MusicSystem = {
+  LOOKAHEAD: 0.1, // Seconds of music queued ahead of the audio clock
+  SCHEDULE_INTERVAL: 25, // ms between scheduler passes
+  START_DELAY: 0.05, // Seconds between play() and the first note
+
+  SONGS: {
+    // The original attract-mode loop: bass on the beat, lead a step behind it
+    intro: {
+      tempo: 100,
+      stepsPerBeat: 8,
+      loop: true,
+      tracks: {
+        bass: { wave: 'sawtooth', volume: 0.3 },
+        lead: { wave: 'square', volume: 0.2 },
+        arpeggio: { wave: 'triangle', volume: 0.1 }
+      },
+      patterns: {
+        bass: [[0, 'C3', 5], [2, 'E3', 5], [4, 'G3', 5], [6, 'C4', 8, 0.4], [8, 'G3', 4], [10, 'E3', 4], [12, 'C3', 11, 0.4]],
+        lead: [
+          [1, 'C5', 3], [3, 'E5', 3], [5, 'G5', 4, 0.25], [7, 'C6', 5, 0.3], [9, 'G5', 3], [11, 'E5', 3],
+          [13, 'C5', 8, 0.25], [15, 'E5', 3], [17, 'G5', 4, 0.25], [19, 'C6', 5, 0.3], [21, 'E6', 4, 0.35], [23, 'G6', 11, 0.4]
+        ],
+        arpeggio: [[7, 'C5', 2], [8, 'E5', 2], [9, 'G5', 2], [10, 'C6', 2]]
+      },
+      sections: {
+        main: { steps: 37, tracks: { bass: 'bass', lead: 'lead' } },
+        // Every other pass adds the arpeggio on top
+        sparkle: { steps: 37, tracks: { bass: 'bass', lead: 'lead', arpeggio: 'arpeggio' } }
+      },
+      arrangement: ['main', 'sparkle']
+    },
+
+    // In-game soundtrack; tempo and layers are set per round by updateGameSoundtrack()
+    game: {
+      tempo: 120,
+      stepsPerBeat: 4,
+      loop: true,
+      tracks: {
+        kick: { wave: 'sine', volume: 0.35 },
+        bass: { wave: 'sawtooth', volume: 0.18 },
+        hat: { wave: 'square', volume: 0.04 },
+        lead: { wave: 'square', volume: 0.12 },
+        arpeggio: { wave: 'triangle', volume: 0.07 }
+      },
+      patterns: {
+        kick: [[0, 'A1', 1], [4, 'A1', 1], [8, 'A1', 1], [12, 'A1', 1]],
+        kickFill: [[0, 'A1', 1], [4, 'A1', 1], [8, 'A1', 1], [10, 'A1', 1], [12, 'A1', 1]],
+        hat: [[2, 'C8', 1], [6, 'C8', 1], [10, 'C8', 1], [14, 'C8', 1]],
+        hatFill: [[2, 'C8', 1], [6, 'C8', 1], [10, 'C8', 1], [13, 'C8', 1], [14, 'C8', 1]],
+        bassCm: [[0, 'C2', 2], [3, 'C2', 1], [4, 'C3', 2], [6, 'C2', 2], [8, 'A#1', 2], [11, 'A#1', 1], [12, 'A#2', 2], [14, 'G1', 2]],
+        bassFm: [[0, 'F1', 2], [3, 'F1', 1], [4, 'F2', 2], [6, 'F1', 2], [8, 'G1', 2], [11, 'G1', 1], [12, 'G2', 2], [14, 'G1', 2]],
+        leadCm: [[0, 'G4', 3], [4, 'D#5', 2], [6, 'D5', 2], [8, 'C5', 3], [12, 'D5', 2], [14, 'A#4', 2]],
+        leadFm: [[0, 'G#4', 3], [4, 'C5', 2], [6, 'D#5', 2], [8, 'D5', 4], [12, 'B4', 4]],
+        arpCm: [
+          [0, 'C5', 1], [1, 'D#5', 1], [2, 'G5', 1], [3, 'C6', 1], [4, 'C5', 1], [5, 'D#5', 1], [6, 'G5', 1], [7, 'C6', 1],
+          [8, 'A#4', 1], [9, 'D5', 1], [10, 'F5', 1], [11, 'A#5', 1], [12, 'A#4', 1], [13, 'D5', 1], [14, 'F5', 1], [15, 'A#5', 1]
+        ],
+        arpFm: [
+          [0, 'F4', 1], [1, 'G#4', 1], [2, 'C5', 1], [3, 'F5', 1], [4, 'F4', 1], [5, 'G#4', 1], [6, 'C5', 1], [7, 'F5', 1],
+          [8, 'G4', 1], [9, 'B4', 1], [10, 'D5', 1], [11, 'G5', 1], [12, 'G4', 1], [13, 'B4', 1], [14, 'D5', 1], [15, 'G5', 1]
+        ]
+      },
+      sections: {
+        verse: { steps: 16, tracks: { kick: 'kick', hat: 'hat', bass: 'bassCm', lead: 'leadCm', arpeggio: 'arpCm' } },
+        drive: { steps: 16, tracks: { kick: 'kickFill', hat: 'hatFill', bass: 'bassFm', lead: 'leadFm', arpeggio: 'arpFm' } }
+      },
+      arrangement: ['verse', 'verse', 'drive', 'verse']
+    },
+
+    // AI Core fights: pounding eighths under a two-tone alarm every other pass
+    boss: {
+      tempo: 150,
+      stepsPerBeat: 4,
+      loop: true,
+      tracks: {
+        kick: { wave: 'sine', volume: 0.35 },
+        bass: { wave: 'sawtooth', volume: 0.2 },
+        lead: { wave: 'square', volume: 0.12 },
+        alarm: { wave: 'triangle', volume: 0.06 }
+      },
+      patterns: {
+        kick: [[0, 'A1', 1], [4, 'A1', 1], [8, 'A1', 1], [10, 'A1', 1], [12, 'A1', 1]],
+        bass: [[0, 'E2', 1], [2, 'E2', 1], [4, 'E3', 1], [6, 'E2', 1], [8, 'F2', 1], [10, 'F2', 1], [12, 'F3', 1], [14, 'D#2', 1]],
+        lead: [[0, 'B4', 2], [2, 'C5', 2], [4, 'B4', 2], [6, 'G4', 2], [8, 'A#4', 4], [12, 'B4', 4]],
+        alarm: [[0, 'E6', 4], [4, 'A#5', 4], [8, 'E6', 4], [12, 'A#5', 4]]
+      },
+      sections: {
+        main: { steps: 16, tracks: { kick: 'kick', bass: 'bass', lead: 'lead' } },
+        siren: { steps: 16, tracks: { kick: 'kick', bass: 'bass', lead: 'lead', alarm: 'alarm' } }
+      },
+      arrangement: ['main', 'main', 'siren', 'siren']
+    }
+  },
+
+  // One-shot phrases played over (or after) the current song
+  STINGERS: {
+    roundClear: {
+      tempo: 150,
+      stepsPerBeat: 4,
+      wave: 'square',
+      volume: 0.2,
+      notes: [[0, 'C5', 1], [1, 'E5', 1], [2, 'G5', 1], [3, 'C6', 4, 0.25]]
+    },
+    // Short enough to finish before the game over screen plays its own sound
+    gameOver: {
+      tempo: 150,
+      stepsPerBeat: 4,
+      wave: 'sawtooth',
+      volume: 0.25,
+      notes: [[0, 'G4', 1], [1, 'D#4', 1], [2, 'C4', 1], [3, 'G3', 3, 0.3]]
+    },
+    bossDefeat: {
+      tempo: 160,
+      stepsPerBeat: 4,
+      wave: 'square',
+      volume: 0.2,
+      notes: [[0, 'C5', 1], [1, 'G4', 1], [2, 'C5', 1], [3, 'E5', 1], [4, 'G5', 1], [5, 'C6', 2], [7, 'E6', 2], [9, 'G6', 6, 0.25]]
+    }
+  },
+
+  // Game soundtrack per round: faster each round, with a new layer every round up to the full band
+  GAME_TEMPO: 120,
+  GAME_TEMPO_PER_ROUND: 6,
+  GAME_MAX_TEMPO: 168,
+  GAME_LAYERS: [['kick', 'bass'], ['hat'], ['lead'], ['arpeggio']],
+
+  current: null, // { name, song, tempo, layers, sectionIndex, step, nextStepTime }
+  timer: null,
+
+  // 'C4', 'A#1' etc. to Hz (A4 = 440)
+  noteToFrequency(note) {
+    const [, letter, sharp, octave] = /^([A-G])(#?)(-?\d)$/.exec(note);
+    const semitone = { C: -9, D: -7, E: -5, F: -4, G: -2, A: 0, B: 2 }[letter] + (sharp ? 1 : 0);
+    return 440 * Math.pow(2, (semitone + (Number(octave) - 4) * 12) / 12);
+  },
+
+  getStepDuration(tempo, stepsPerBeat) {
+    return 60 / tempo / stepsPerBeat;
+  },
+
+  // Starts a song from the top, replacing whatever was playing
+  play(name, options = {}) {
+    const song = this.SONGS[name];
+    if (!song) {
+      console.warn(`❌ MUSIC: Unknown song "${name}"`);
+      return;
+    }
+
+    this.stop();
+    this.current = {
+      name,
+      song,
+      tempo: options.tempo || song.tempo,
+      layers: options.layers || Object.keys(song.tracks),
+      sectionIndex: 0,
+      step: 0,
+      nextStepTime: null
+    };
+    this.timer = setInterval(() => this.schedule(), this.SCHEDULE_INTERVAL);
+    this.schedule();
+    console.log(`🎼 MUSIC: Playing "${name}" at ${this.current.tempo} BPM`);
+  },
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.current = null;
+  },
+
+  isPlaying(name) {
+    return this.current !== null && (!name || this.current.name === name);
+  },
+
+  // Tempo and layer changes take effect from the next scheduled step
+  setTempo(tempo) {
+    if (this.current) this.current.tempo = tempo;
+  },
+
+  setLayers(layers) {
+    if (this.current) this.current.layers = layers;
+  },
+
+  schedule() {
+    const current = this.current;
+    const context = gameState.audioContext;
+    // Nothing is queued while locked or paused; the song picks up where it left off
+    if (!current || !context || !gameState.isAudioUnlocked || gameState.isAudioSuspended) return;
+
+    const now = context.currentTime;
+    // First pass, or the timer was throttled (background tab): restart the clock instead of bursting
+    if (current.nextStepTime === null || current.nextStepTime < now) {
+      current.nextStepTime = now + this.START_DELAY;
+    }
+
+    while (this.current === current && current.nextStepTime < now + this.LOOKAHEAD) {
+      this.scheduleStep(current, current.nextStepTime);
+      current.nextStepTime += this.getStepDuration(current.tempo, current.song.stepsPerBeat);
+      if (!this.advance(current)) {
+        this.stop();
+      }
+    }
+  },
+
+  scheduleStep(current, time) {
+    const song = current.song;
+    const section = song.sections[song.arrangement[current.sectionIndex]];
+    const stepDuration = this.getStepDuration(current.tempo, song.stepsPerBeat);
+
+    current.layers.forEach(trackName => {
+      const track = song.tracks[trackName];
+      const pattern = song.patterns[section.tracks[trackName]];
+      if (!track || !pattern) return;
+
+      pattern.forEach(([step, note, length, volume]) => {
+        if (step !== current.step) return;
+        AudioSystem.createBeep(this.noteToFrequency(note), length * stepDuration, track.wave,
+          volume || track.volume, 'music', time);
+      });
+    });
+  },
+
+  // Moves to the next step, section and (for looping songs) back to the top; false when the song ends
+  advance(current) {
+    const song = current.song;
+    current.step++;
+    if (current.step < song.sections[song.arrangement[current.sectionIndex]].steps) return true;
+
+    current.step = 0;
+    current.sectionIndex++;
+    if (current.sectionIndex < song.arrangement.length) return true;
+
+    current.sectionIndex = 0;
+    return Boolean(song.loop);
+  },
+
+  playStinger(name) {
+    const stinger = this.STINGERS[name];
+    const context = gameState.audioContext;
+    if (!stinger || !context || !gameState.isAudioUnlocked) return;
+
+    const start = context.currentTime + this.START_DELAY;
+    const stepDuration = this.getStepDuration(stinger.tempo, stinger.stepsPerBeat);
+    stinger.notes.forEach(([step, note, length, volume]) => {
+      AudioSystem.createBeep(this.noteToFrequency(note), length * stepDuration, stinger.wave,
+        volume || stinger.volume, 'music', start + step * stepDuration);
+    });
+  },
+
+  getGameArrangement(round) {
+    const layerCount = Math.min(round, this.GAME_LAYERS.length);
+    return {
+      tempo: Math.min(this.GAME_TEMPO + (round - 1) * this.GAME_TEMPO_PER_ROUND, this.GAME_MAX_TEMPO),
+      layers: [].concat(...this.GAME_LAYERS.slice(0, layerCount))
+    };
+  },
+
+  startGameSoundtrack(round) {
+    this.play('game', this.getGameArrangement(round));
+  },
+
+  updateGameSoundtrack(round) {
+    if (!this.isPlaying('game')) return;
+    const { tempo, layers } = this.getGameArrangement(round);
+    this.setTempo(tempo);
+    this.setLayers(layers);
+  }
+};
+
+/**
+ * SFX System
+ * Small sfxr/ZzFX-style synth: sound effects are data patches of one or more voices,
+ * each with a waveform (including pulse and noise), an ADSR envelope, a pitch or duty
+ * sweep, vibrato and arpeggio, all scheduled on the AudioContext clock.
+ */
+const SfxSystem = {
+  // Any voice field left out falls back to these (times in seconds, frequencies in Hz)
+  VOICE_DEFAULTS: {
+    wave: 'square', // square, sawtooth, triangle, sine, pulse or noise
+    volume: 0.2,
+    frequency: 440, // Noise voices use this as a low-pass cutoff
+    slideTo: null, // End frequency of an exponential pitch sweep
+    attack: 0.005,
+    decay: 0.05,
+    sustain: 0.6, // Level held after the decay, relative to volume
+    hold: 0.05,
+    release: 0.05,
+    duty: 0.5, // Pulse width, pulse voices only
+    dutySweep: 0, // Added to the duty over the voice
+    vibrato: null, // { rate, depth } in Hz
+    arpeggio: null, // { steps: semitone offsets, interval }
+    delay: 0 // Start offset within the patch
+  },
+
+  PATCHES: {
+    collect: {
+      voices: [{ wave: 'pulse', duty: 0.25, frequency: 800, volume: 0.15, hold: 0.08, arpeggio: { steps: [0, 4], interval: 0.05 } }]
+    },
+    damage: {
+      duck: 0.3,
+      voices: [
+        { wave: 'noise', frequency: 4000, slideTo: 300, volume: 0.3, attack: 0, decay: 0.2, sustain: 0, hold: 0, release: 0.05 },
+        { wave: 'sawtooth', frequency: 400, slideTo: 120, volume: 0.2, decay: 0.1, sustain: 0.5, hold: 0.15, release: 0.1, vibrato: { rate: 30, depth: 40 } }
+      ]
+    },
+    start: {
+      voices: [{ wave: 'pulse', frequency: 523, volume: 0.2, decay: 0.05, sustain: 0.8, hold: 0.5, release: 0.1, arpeggio: { steps: [0, 4, 7, 12], interval: 0.15 } }]
+    },
+    gameOver: {
+      duck: 0.8,
+      voices: [{
+        wave: 'sawtooth', frequency: 523, volume: 0.25, decay: 0.1, sustain: 0.8, hold: 0.6, release: 0.2,
+        arpeggio: { steps: [0, -3, -7, -10], interval: 0.2 }, vibrato: { rate: 6, depth: 8 }
+      }]
+    },
+    coin: {
+      voices: [{ wave: 'pulse', frequency: 988, volume: 0.2, decay: 0.02, sustain: 0.8, hold: 0.2, release: 0.1, arpeggio: { steps: [0, 5], interval: 0.06 } }]
+    },
+    blip: {
+      voices: [{ wave: 'pulse', duty: 0.25, frequency: 600, volume: 0.1, decay: 0.04, sustain: 0, hold: 0, release: 0.01 }]
+    },
+    confirm: {
+      voices: [{ wave: 'pulse', frequency: 880, volume: 0.15, hold: 0.12, release: 0.05, arpeggio: { steps: [0, 7], interval: 0.08 } }]
+    },
+    back: {
+      voices: [{ wave: 'pulse', duty: 0.25, frequency: 400, slideTo: 300, volume: 0.3, decay: 0.05, sustain: 0.5, hold: 0.02, release: 0.03 }]
+    },
+    highScore: {
+      duck: 0.7,
+      voices: [{ wave: 'square', frequency: 523, volume: 0.2, decay: 0.05, sustain: 0.8, hold: 0.65, release: 0.1, arpeggio: { steps: [0, 4, 7, 12, 7, 12], interval: 0.12 } }]
+    },
+    shield: {
+      voices: [{ wave: 'triangle', frequency: 440, volume: 0.25, sustain: 0.8, hold: 0.2, release: 0.1, arpeggio: { steps: [0, 4, 7, 12], interval: 0.05 }, vibrato: { rate: 12, depth: 10 } }]
+    },
+    shieldBreak: {
+      voices: [
+        { wave: 'noise', frequency: 8000, slideTo: 1000, volume: 0.2, attack: 0, decay: 0.15, sustain: 0, hold: 0, release: 0.02 },
+        { wave: 'sawtooth', frequency: 880, slideTo: 110, volume: 0.2, decay: 0.05, sustain: 0.7, hold: 0.15, release: 0.05 }
+      ]
+    },
+    speedBoost: {
+      voices: [{ wave: 'pulse', frequency: 330, slideTo: 1047, duty: 0.5, dutySweep: -0.4, volume: 0.15, sustain: 0.8, hold: 0.1, release: 0.05 }]
+    },
+    magnet: {
+      voices: [
+        { wave: 'sawtooth', frequency: 150, volume: 0.2, sustain: 0.7, hold: 0.2, release: 0.1, vibrato: { rate: 14, depth: 20 } },
+        { wave: 'sine', frequency: 300, volume: 0.25, sustain: 0.7, hold: 0.1, release: 0.1, vibrato: { rate: 14, depth: 30 }, delay: 0.1 }
+      ]
+    },
+    emp: {
+      duck: 0.3,
+      voices: [
+        { wave: 'square', frequency: 1200, volume: 0.3, decay: 0.04, sustain: 0, hold: 0, release: 0.01 },
+        { wave: 'noise', frequency: 2000, slideTo: 100, volume: 0.35, attack: 0.01, decay: 0.1, sustain: 0.6, hold: 0.2, release: 0.2, delay: 0.05 },
+        { wave: 'sawtooth', frequency: 600, slideTo: 60, volume: 0.3, decay: 0.05, sustain: 0.7, hold: 0.25, release: 0.15, delay: 0.05 }
+      ]
+    },
+    dash: {
+      voices: [{ wave: 'noise', frequency: 1500, slideTo: 6000, volume: 0.2, attack: 0, decay: 0.05, sustain: 0.6, hold: 0.08, release: 0.05 }]
+    },
+    pulse: {
+      duck: 0.3,
+      voices: [
+        { wave: 'sine', frequency: 880, slideTo: 110, volume: 0.3, attack: 0, decay: 0.05, sustain: 0.8, hold: 0.25, release: 0.1 },
+        { wave: 'noise', frequency: 3000, slideTo: 200, volume: 0.25, attack: 0.01, decay: 0.1, sustain: 0.4, hold: 0.15, release: 0.15 }
+      ]
+    },
+    abilityReady: {
+      voices: [{ wave: 'triangle', frequency: 1320, volume: 0.12, decay: 0.03, sustain: 0.5, hold: 0.04, release: 0.04, arpeggio: { steps: [0, 12], interval: 0.04 } }]
+    },
+    shoot: {
+      voices: [{ wave: 'pulse', duty: 0.125, frequency: 1400, slideTo: 500, volume: 0.08, attack: 0, decay: 0.03, sustain: 0.5, hold: 0.02, release: 0.02 }]
+    },
+    enemyDestroyed: {
+      voices: [
+        { wave: 'noise', frequency: 2500, slideTo: 150, volume: 0.25, attack: 0, decay: 0.15, sustain: 0, hold: 0, release: 0.05 },
+        { wave: 'square', frequency: 300, slideTo: 60, volume: 0.15, decay: 0.05, sustain: 0.5, hold: 0.08, release: 0.05 }
+      ]
+    },
+    bossWarning: {
+      voices: [{ wave: 'pulse', duty: 0.25, frequency: 660, volume: 0.15, sustain: 0.8, hold: 0.3, release: 0.05, arpeggio: { steps: [0, -6], interval: 0.08 } }]
+    },
+    bossHit: {
+      duck: 0.2,
+      voices: [
+        { wave: 'noise', frequency: 3000, slideTo: 400, volume: 0.25, attack: 0, decay: 0.12, sustain: 0, hold: 0, release: 0.02 },
+        { wave: 'square', frequency: 220, slideTo: 880, volume: 0.2, decay: 0.05, sustain: 0.6, hold: 0.12, release: 0.05 }
+      ]
+    },
+    bossExplode: {
+      duck: 0.6,
+      voices: [
+        { wave: 'noise', frequency: 6000, slideTo: 80, volume: 0.4, attack: 0, decay: 0.3, sustain: 0.5, hold: 0.6, release: 0.4 },
+        { wave: 'sawtooth', frequency: 300, slideTo: 30, volume: 0.3, decay: 0.1, sustain: 0.7, hold: 0.8, release: 0.3, vibrato: { rate: 20, depth: 15 } }
+      ]
+    },
+    tallyTick: {
+      voices: [{ wave: 'pulse', duty: 0.25, frequency: 1760, volume: 0.06, attack: 0, decay: 0.01, sustain: 0, hold: 0, release: 0.01 }]
+    },
+    extraLife: {
+      duck: 0.3,
+      voices: [{ wave: 'square', frequency: 523, volume: 0.15, decay: 0.05, sustain: 0.7, hold: 0.5, release: 0.1, arpeggio: { steps: [0, 4, 7, 12, 7, 12], interval: 0.08 } }]
+    },
+    achievement: {
+      duck: 0.3,
+      voices: [
+        { wave: 'pulse', duty: 0.25, frequency: 784, volume: 0.14, decay: 0.05, sustain: 0.7, hold: 0.6, release: 0.2, arpeggio: { steps: [0, 5, 9, 12, 17, 21, 24], interval: 0.07 } },
+        { wave: 'triangle', frequency: 196, volume: 0.15, decay: 0.1, sustain: 0.8, hold: 0.5, release: 0.2, arpeggio: { steps: [0, 5, 12], interval: 0.16 } }
+      ]
+    }
+  },
+
+  noiseBuffer: null,
+
+  play(name) {
+    const patch = this.PATCHES[name];
+    if (!patch) {
+      console.warn(`❌ SFX: Unknown patch "${name}"`);
+      return;
+    }
+    if (!AudioSystem.canPlay('sfx')) return;
+
+    console.log(`🔊 SFX: Playing "${name}"`);
+    if (patch.duck) AudioSystem.duck(patch.duck);
+
+    const start = gameState.audioContext.currentTime;
+    patch.voices.forEach(voice => {
+      try {
+        this.playVoice(Object.assign({}, this.VOICE_DEFAULTS, voice), start);
+      } catch (error) {
+        console.warn('❌ SFX: Playback failed:', error);
+      }
+    });
+  },
+
+  playVoice(voice, patchStart) {
+    const context = gameState.audioContext;
+    const start = patchStart + voice.delay;
+    const decayEnd = start + voice.attack + voice.decay;
+    const end = decayEnd + voice.hold + voice.release;
+
+    // ADSR envelope feeding the SFX bus
+    const envelope = context.createGain();
+    envelope.connect(AudioSystem.buses ? AudioSystem.buses.sfx : context.destination);
+    envelope.gain.setValueAtTime(0, start);
+    envelope.gain.linearRampToValueAtTime(voice.volume, start + voice.attack);
+    envelope.gain.linearRampToValueAtTime(voice.volume * voice.sustain, decayEnd);
+    envelope.gain.setValueAtTime(voice.volume * voice.sustain, decayEnd + voice.hold);
+    envelope.gain.linearRampToValueAtTime(0, end);
+
+    const { sources, pitchParams } = this.createSource(voice, envelope, start, end);
+
+    pitchParams.forEach(param => this.schedulePitch(param, voice, start, end));
+
+    if (voice.vibrato) {
+      const lfo = context.createOscillator();
+      const depth = context.createGain();
+      lfo.frequency.setValueAtTime(voice.vibrato.rate, start);
+      depth.gain.setValueAtTime(voice.vibrato.depth, start);
+      lfo.connect(depth);
+      pitchParams.forEach(param => depth.connect(param));
+      sources.push(lfo);
+    }
+
+    sources.forEach(source => {
+      source.start(start);
+      source.stop(end);
+    });
+  },
+
+  // Builds the voice's oscillator(s) into the envelope; pitchParams are what sweeps and vibrato drive
+  createSource(voice, output, start, end) {
+    const context = gameState.audioContext;
+
+    if (voice.wave === 'noise') {
+      const noise = context.createBufferSource();
+      noise.buffer = this.getNoiseBuffer();
+      noise.loop = true;
+      const filter = context.createBiquadFilter();
+      filter.type = 'lowpass';
+      noise.connect(filter);
+      filter.connect(output);
+      return { sources: [noise], pitchParams: [filter.frequency] };
+    }
+
+    if (voice.wave === 'pulse') {
+      // A pulse is a sawtooth minus a copy of itself delayed by duty / frequency
+      const saw = context.createOscillator();
+      const shifted = context.createOscillator();
+      const invert = context.createGain();
+      const offset = context.createDelay();
+      const mix = context.createGain();
+      saw.type = 'sawtooth';
+      shifted.type = 'sawtooth';
+      invert.gain.setValueAtTime(-1, start);
+      mix.gain.setValueAtTime(0.5, start);
+
+      const endFrequency = voice.slideTo || voice.frequency;
+      const endDuty = Phaser.Math.Clamp(voice.duty + voice.dutySweep, 0.05, 0.95);
+      offset.delayTime.setValueAtTime(voice.duty / voice.frequency, start);
+      offset.delayTime.linearRampToValueAtTime(endDuty / endFrequency, end);
+
+      saw.connect(mix);
+      shifted.connect(invert);
+      invert.connect(offset);
+      offset.connect(mix);
+      mix.connect(output);
+      return { sources: [saw, shifted], pitchParams: [saw.frequency, shifted.frequency] };
+    }
+
+    const oscillator = context.createOscillator();
+    oscillator.type = voice.wave;
+    oscillator.connect(output);
+    return { sources: [oscillator], pitchParams: [oscillator.frequency] };
+  },
+
+  // Arpeggios step through semitone offsets; otherwise the pitch optionally sweeps to slideTo
+  schedulePitch(param, voice, start, end) {
+    param.setValueAtTime(voice.frequency, start);
+
+    if (voice.arpeggio) {
+      const { steps, interval } = voice.arpeggio;
+      for (let i = 0, time = start; time < end; i++, time += Math.max(interval, 0.01)) {
+        param.setValueAtTime(voice.frequency * Math.pow(2, steps[i % steps.length] / 12), time);
+      }
+    } else if (voice.slideTo) {
+      param.exponentialRampToValueAtTime(voice.slideTo, end);
+    }
+  },
+
+  // One second of white noise, looped by noise voices
+  getNoiseBuffer() {
+    const context = gameState.audioContext;
+    if (!this.noiseBuffer || this.noiseBuffer.sampleRate !== context.sampleRate) {
+      this.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+      const data = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+    return this.noiseBuffer;
+  }
+};
+
+/**
+ * Arcade Effects System
+ * Screen shake, color flashes, particle bursts, glitches and electric discharges
+ */
+const ArcadeEffectsSystem = {
+  // Scales applied to every effect; set enabled to false or an intensity to 0 to turn one off
+  config: {
+    enabled: true,
+    shake: 1,
+    flash: 1,
+    particles: 1,
+    glitch: 1,
+    electric: 1
+  },
+
+  DEPTH: 1000,
+
+  configure(options = {}) {
+    Object.assign(this.config, options);
+    console.log('💥 EFFECTS: Configuration updated', this.config);
+  },
+
+  // The flash and glitch in progress on a scene; dropped when the scene shuts down, since
+  // its tweens and timers (which would otherwise clear them) go with it
+  getState(scene) {
+    if (!scene.effectsState) {
+      scene.effectsState = { flash: null, glitch: null };
+      scene.events.once('shutdown', () => { scene.effectsState = null; });
+    }
+    return scene.effectsState;
+  },
+
+  getScale(effect) {
+    if (!this.config.enabled) return 0;
+    const scale = Number(this.config[effect]);
+    return Number.isFinite(scale) ? Math.max(0, scale) : 0;
+  },
+
+  shake(scene, intensity = 0.01, duration = 200) {
+    const scale = this.getScale('shake');
+    if (scale <= 0) return;
+    scene.cameras.main.shake(duration, intensity * scale);
+  },
+
+  flash(scene, color = 0xffffff, duration = 150, alpha = 0.6, force = false) {
+    const scale = this.getScale('flash');
+    if (scale <= 0) return;
+    const state = this.getState(scene);
+    if (state.flash) {
+      if (!force) return; // Don't stack flashes on top of each other
+      state.flash.destroy();
+      state.flash = null;
+    }
+
+    const overlay = scene.add.rectangle(0, 0, GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, color)
+      .setOrigin(0)
+      .setDepth(this.DEPTH)
+      .setAlpha(Math.min(1, alpha * scale));
+    state.flash = overlay;
+
+    scene.tweens.add({
+      targets: overlay,
+      alpha: 0,
+      duration,
+      ease: 'Power2',
+      onComplete: () => {
+        overlay.destroy();
+        if (state.flash === overlay) state.flash = null;
+      }
+    });
+  },
+
+  burst(scene, x, y, color = 0xffff00, count = 12) {
+    const scale = this.getScale('particles');
+    const total = Math.round(count * scale);
+    for (let i = 0; i < total; i++) {
+      // Chunky square "pixels" rather than smooth particles, to match the sprites
+      const size = 3 + Math.floor(Math.random() * 4);
+      const particle = scene.add.rectangle(x, y, size, size, color).setDepth(this.DEPTH - 1);
+      const angle = (Math.PI * 2 * i) / total + Math.random() * 0.5;
+      const distance = 30 + Math.random() * 50;
+
+      scene.tweens.add({
+        targets: particle,
+        x: x + Math.cos(angle) * distance,
+        y: y + Math.sin(angle) * distance,
+        alpha: 0,
+        scale: 0.3,
+        duration: 350 + Math.random() * 250,
+        ease: 'Power2',
+        onComplete: () => particle.destroy()
+      });
+    }
+  },
+
+  glitch(scene, duration = 300) {
+    const scale = this.getScale('glitch');
+    const state = this.getState(scene);
+    if (scale <= 0 || state.glitch) return;
+
+    const colors = [0xff00ff, 0x00ffff, 0xffff00, 0xff0000];
+    const sliceCount = Math.max(1, Math.round(6 * scale));
+    const slices = [];
+    for (let i = 0; i < sliceCount; i++) {
+      slices.push(scene.add.rectangle(0, 0, GAME_CONSTANTS.WIDTH, 4, colors[i % colors.length])
+        .setOrigin(0)
+        .setDepth(this.DEPTH)
+        .setBlendMode(Phaser.BlendModes.ADD));
+    }
+
+    const camera = scene.cameras.main;
+    const jitter = () => {
+      slices.forEach(slice => {
+        slice.y = Math.random() * GAME_CONSTANTS.HEIGHT;
+        slice.height = 2 + Math.random() * 12;
+        slice.x = (Math.random() - 0.5) * 40 * scale;
+        slice.setAlpha(0.2 + Math.random() * 0.4);
+      });
+      camera.setScroll((Math.random() - 0.5) * 8 * scale, 0);
+    };
+    jitter();
+
+    const timer = scene.time.addEvent({
+      delay: 50,
+      repeat: Math.max(0, Math.floor(duration / 50) - 1),
+      callback: jitter
+    });
+    state.glitch = timer;
+
+    scene.time.delayedCall(duration, () => {
+      timer.remove();
+      slices.forEach(slice => slice.destroy());
+      camera.setScroll(0, 0);
+      if (state.glitch === timer) state.glitch = null;
+    });
+  },
+
+  electric(scene, x1, y1, x2, y2, color = 0x00ffff, duration = 250) {
+    const scale = this.getScale('electric');
+    if (scale <= 0) return;
+
+    const bolt = scene.add.graphics().setDepth(this.DEPTH - 1);
+    const segments = 10;
+    const spread = 18 * scale;
+
+    // Redraw a fresh jagged path every few frames so the arc crackles
+    const draw = () => {
+      bolt.clear();
+      const points = [];
+      for (let i = 0; i <= segments; i++) {
+        const t = i / segments;
+        const offset = i === 0 || i === segments ? 0 : (Math.random() - 0.5) * spread * 2;
+        points.push({
+          x: Phaser.Math.Linear(x1, x2, t) + offset,
+          y: Phaser.Math.Linear(y1, y2, t) + offset
+        });
+      }
+      bolt.lineStyle(6, color, 0.25);
+      bolt.strokePoints(points);
+      bolt.lineStyle(2, 0xffffff, 0.9);
+      bolt.strokePoints(points);
+    };
+    draw();
+
+    const timer = scene.time.addEvent({
+      delay: 40,
+      repeat: Math.max(0, Math.floor(duration / 40) - 1),
+      callback: draw
+    });
+
+    scene.time.delayedCall(duration, () => {
+      timer.remove();
+      bolt.destroy();
+    });
+  },
+
+  // Expanding shockwave ring, drawn as a chunky double outline
+  ring(scene, x, y, radius, color = 0xffffff, duration = 300) {
+    const scale = this.getScale('particles');
+    if (scale <= 0) return;
+
+    const ring = scene.add.graphics().setDepth(this.DEPTH - 1);
+    const progress = { value: 0 };
+    scene.tweens.add({
+      targets: progress,
+      value: 1,
+      duration,
+      ease: 'Cubic.easeOut',
+      onUpdate: () => {
+        ring.clear();
+        ring.lineStyle(8, color, 0.3 * (1 - progress.value));
+        ring.strokeCircle(x, y, radius * progress.value);
+        ring.lineStyle(2, 0xffffff, 1 - progress.value);
+        ring.strokeCircle(x, y, radius * progress.value);
+      },
+      onComplete: () => ring.destroy()
+    });
+  },
+
+  // Fading copy of a sprite left behind by fast movement
+  afterimage(scene, sprite, color = 0xffffff, duration = 200) {
+    const scale = this.getScale('particles');
+    if (scale <= 0) return;
+
+    const ghost = scene.add.sprite(sprite.x, sprite.y, sprite.texture.key)
+      .setTint(color)
+      .setAlpha(0.5 * Math.min(1, scale))
+      .setDepth(sprite.depth - 1);
+    scene.tweens.add({
+      targets: ghost,
+      alpha: 0,
+      duration,
+      onComplete: () => ghost.destroy()
+    });
+  },
+
+  // Preset combinations used by the gameplay events
+  collect(scene, x, y) {
+    this.burst(scene, x, y, 0x00ff00, 10);
+  },
+
+  damage(scene, x, y) {
+    this.shake(scene, 0.01, 150);
+    this.flash(scene, 0xff0000, 120, 0.3);
+    this.burst(scene, x, y, 0xff4444, 6);
+  },
+
+  newRound(scene) {
+    this.flash(scene, 0x00ffff, 250, 0.4);
+    for (let i = 0; i < 3; i++) {
+      scene.time.delayedCall(i * 120, () => {
+        this.electric(scene,
+          Math.random() * GAME_CONSTANTS.WIDTH, 0,
+          Math.random() * GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT,
+          0x00ffff, 300);
+      });
+    }
+  },
+
+  powerUp(scene, x, y, color) {
+    this.flash(scene, color, 150, 0.25);
+    this.burst(scene, x, y, color, 14);
+  },
+
+  pulse(scene, x, y, radius, color) {
+    this.ring(scene, x, y, radius, color, 350);
+    this.flash(scene, color, 120, 0.2);
+    this.shake(scene, 0.006, 150);
+  },
+
+  gameOver(scene, x, y) {
+    this.shake(scene, 0.03, 500);
+    this.flash(scene, 0xff0000, 400, 0.6, true);
+    this.burst(scene, x, y, 0xffffff, 24);
+    this.glitch(scene, 600);
+  }
+};
+
 /**
  * Intro System
  * Handles game introduction sequences and UI
@@ -304,18 +1842,18 @@ const IntroSystem = {
       // Create SVG logo sprite instead of text
       const logo = scene.add.sprite(GAME_CONSTANTS.WIDTH / 2, 200, 'logo').setOrigin(0.5);
       logo.setScale(0.8); // Start slightly smaller for zoom effect
-      gameState.introElements.push(logo);
+      scene.introElements.push(logo);
 
       // Add glow effect by creating multiple layers
       const glowLogo1 = scene.add.sprite(GAME_CONSTANTS.WIDTH / 2, 200, 'logo').setOrigin(0.5).setAlpha(0.6);
       glowLogo1.setScale(0.82);
       glowLogo1.setTint(0x00ffff);
-      gameState.introElements.push(glowLogo1);
+      scene.introElements.push(glowLogo1);
 
       const glowLogo2 = scene.add.sprite(GAME_CONSTANTS.WIDTH / 2, 200, 'logo').setOrigin(0.5).setAlpha(0.3);
       glowLogo2.setScale(0.84);
       glowLogo2.setTint(0xff00ff);
-      gameState.introElements.push(glowLogo2);
+      scene.introElements.push(glowLogo2);
 
       // Enhanced 8-bit fanfare with more dramatic 80s synth sounds
       console.log('🎺 AUDIO: Starting enhanced company logo fanfare sequence');
@@ -332,7 +1870,7 @@ const IntroSystem = {
       fanfareNotes.forEach((note, index) => {
         scene.time.delayedCall(note.delay, () => {
           console.log(`🎺 AUDIO: Playing enhanced fanfare note ${index + 1}/${fanfareNotes.length} - ${note.freq}Hz after ${note.delay}ms delay`);
-          AudioSystem.createBeep(note.freq, note.duration, note.type, note.volume);
+          AudioSystem.createBeep(note.freq, note.duration, note.type, note.volume, 'music');
         });
       });
 
@@ -361,7 +1899,7 @@ const IntroSystem = {
           fontFamily: 'Press Start 2P'
         }).setOrigin(0.5).setAlpha(0);
         subtitle1.setShadow(1, 1, '#000000', 6);
-        gameState.introElements.push(subtitle1);
+        scene.introElements.push(subtitle1);
 
         // Second subtitle line
         const subtitle2 = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 350, 'PRESENTS', {
@@ -370,7 +1908,7 @@ const IntroSystem = {
           fontFamily: 'Press Start 2P'
         }).setOrigin(0.5).setAlpha(0);
         subtitle2.setShadow(1, 1, '#000000', 4);
-        gameState.introElements.push(subtitle2);
+        scene.introElements.push(subtitle2);
 
         // Dramatic reveal animation for subtitles
         scene.tweens.add({
@@ -436,17 +1974,18 @@ const IntroSystem = {
 const GameFactory = {
   createEnemy(scene, x, y, type) {
     try {
-      let spriteKey;
-      switch (type) {
-        case 'chaser': spriteKey = 'enemy-chaser'; break;
-        case 'patrol': spriteKey = 'enemy-patrol'; break;
-        default: spriteKey = 'enemy-random'; break;
+      const definition = EnemySystem.getType(type);
+      const enemy = scene.add.sprite(x, y, definition.texture);
+      enemy.type = EnemySystem.TYPES[type] ? type : 'random';
+      enemy.damage = definition.damage;
+      enemy.health = definition.health;
+      enemy.stunTimer = 0;
+      if (definition.scale) {
+        enemy.setScale(definition.scale);
+      }
+      if (definition.init) {
+        definition.init(enemy);
       }
-
-      const enemy = scene.add.sprite(x, y, spriteKey);
-      enemy.type = type;
-      enemy.moveCounter = 0;
-      enemy.moveDirection = Phaser.Math.Between(0, 3);
       return enemy;
     } catch (error) {
       console.error('Error creating enemy:', error);
@@ -463,25 +2002,105 @@ const GameFactory = {
     }
   },
 
+  createPowerUp(scene, x, y, type) {
+    try {
+      const powerUp = scene.add.sprite(x, y, `powerup-${type}`);
+      powerUp.powerUpType = type;
+      powerUp.lifetime = PowerUpSystem.LIFETIME;
+      scene.tweens.add({
+        targets: powerUp,
+        scale: { from: 1, to: 1.3 },
+        duration: 300,
+        yoyo: true,
+        repeat: -1
+      });
+      return powerUp;
+    } catch (error) {
+      console.error('Error creating power-up:', error);
+      return null;
+    }
+  },
+
+  spawnPowerUp(scene, type) {
+    const { x, y } = ArenaSystem.getRandomPoint(scene, GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.COLLECTIBLE_SIZE / 2);
+    const powerUp = this.createPowerUp(scene, x, y, type);
+    if (powerUp) {
+      scene.powerUps.add(powerUp);
+    }
+    return powerUp;
+  },
+
+  // Scatter enemies of one type across the arena (used for the opening wave)
+  spawnEnemies(scene, count, type = 'random') {
+    for (let i = 0; i < count; i++) {
+      const { x, y } = LevelSystem.getEnemySpawn(scene);
+      const enemy = this.createEnemy(scene, x, y, type);
+      if (enemy) {
+        scene.enemies.add(enemy);
+      }
+    }
+  },
+
   createHUDText(scene) {
     try {
-      gameState.scoreText = scene.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.BOUNDS_PADDING,
-        `Score: ${gameState.score}`, {
-          fontSize: '18px',
-          fill: '#fff'
-        }).setVisible(false);
-
-      gameState.healthText = scene.add.text(600, GAME_CONSTANTS.BOUNDS_PADDING,
-        `Health: ${gameState.health}`, {
-          fontSize: '18px',
-          fill: '#fff'
-        }).setVisible(false);
-
-      gameState.roundText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.BOUNDS_PADDING,
-        `Round: ${gameState.round}`, {
-          fontSize: '18px',
-          fill: '#fff'
-        }).setOrigin(0.5).setVisible(false);
+      const run = scene.run;
+      scene.hud = {
+        scoreText: scene.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.BOUNDS_PADDING,
+          `Score: ${run.score}`, {
+            fontSize: '18px',
+            fill: '#fff'
+          }),
+
+        healthText: scene.add.text(600, GAME_CONSTANTS.BOUNDS_PADDING,
+          `Health: ${run.health}`, {
+            fontSize: '18px',
+            fill: '#fff'
+          }),
+
+        roundText: scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.BOUNDS_PADDING,
+          `Round: ${run.round}`, {
+            fontSize: '18px',
+            fill: '#fff'
+          }).setOrigin(0.5),
+
+        // Seconds left on rounds with a time limit
+        timerText: scene.add.text(600, GAME_CONSTANTS.BOUNDS_PADDING + 28, '', {
+          fontSize: '12px',
+          fill: '#ffff00',
+          fontFamily: 'Press Start 2P'
+        }),
+
+        // Active power-ups with seconds remaining
+        powerUpText: scene.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.BOUNDS_PADDING + 28, '', {
+          fontSize: '12px',
+          fill: '#00ffff',
+          fontFamily: 'Press Start 2P'
+        }),
+
+        // Ability cooldowns (OK when ready)
+        abilityText: scene.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.BOUNDS_PADDING + 48, '', {
+          fontSize: '12px',
+          fill: '#00ff00',
+          fontFamily: 'Press Start 2P'
+        }),
+
+        // GPU chain and its multiplier, while one is running
+        comboText: scene.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.BOUNDS_PADDING + 68, '', {
+          fontSize: '12px',
+          fill: '#ffff00',
+          fontFamily: 'Press Start 2P'
+        }),
+
+        // Spare lives earned at score thresholds
+        livesText: scene.add.text(600, GAME_CONSTANTS.BOUNDS_PADDING + 48, '', {
+          fontSize: '12px',
+          fill: '#ff00ff',
+          fontFamily: 'Press Start 2P'
+        })
+      };
+
+      // The attract demo plays without a HUD
+      Object.values(scene.hud).forEach(text => text.setVisible(!run.demo));
     } catch (error) {
       console.error('Error creating HUD text:', error);
     }
@@ -489,801 +2108,5178 @@ const GameFactory = {
 };
 
 /**
- * Game Logic System
- * Handles core game mechanics and sequences
+ * High Score System
+ * Persists the top-10 table in localStorage and runs the arcade name entry
  */
-const GameLogicSystem = {
-  runCompanyLogoSequence() {
-    console.log('=== COMPANY LOGO SEQUENCE STARTED ===');
-    const scene = this;
-
-    function nextStage() {
-      console.log('=== MOVING TO TITLE SCREEN ===');
-      // Clear previous stage elements
-      gameState.introElements.forEach(element => {
-        if (element && element.destroy) element.destroy();
-      });
-      gameState.introElements = [];
-      // After company logo, show title screen
-      GameLogicSystem.showTitleScreen.call(scene);
+const HighScoreSystem = {
+  STORAGE_KEY: 'retroArcade.highScores',
+  STORAGE_VERSION: 1,
+  ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ',
+  CROWN_COLORS: [0xffd700, 0xc0c0c0, 0xcd7f32], // Gold, silver, bronze
+  ROW_COLORS: ['#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ff8000'],
+
+  // Classic attract-mode table shown before anyone has played
+  DEFAULT_SCORES: [
+    { name: 'GPU', score: 500, round: 5 },
+    { name: 'AAA', score: 400, round: 4 },
+    { name: 'CPU', score: 350, round: 4 },
+    { name: 'RAM', score: 300, round: 3 },
+    { name: 'BIT', score: 250, round: 3 },
+    { name: 'NET', score: 200, round: 2 },
+    { name: 'BUS', score: 150, round: 2 },
+    { name: 'ROM', score: 100, round: 2 },
+    { name: 'BUG', score: 50, round: 1 },
+    { name: 'AI ', score: 20, round: 1 }
+  ],
+
+  scores: null,
+  activeElements: [],
+  activeInputOff: null,
+
+  getScores() {
+    if (!this.scores) {
+      this.scores = this.load();
     }
+    return this.scores;
+  },
 
-    IntroSystem.createCompanyLogo(scene);
+  load() {
+    try {
+      const raw = window.localStorage.getItem(this.STORAGE_KEY);
+      if (!raw) {
+        return this.getDefaultScores();
+      }
 
-    // Move to title screen after 3 seconds
-    scene.time.delayedCall(3000, () => {
-      AudioSystem.createBeep(1200, 0.15, 'square', 0.3);
-      nextStage();
-    });
-  },
+      const data = JSON.parse(raw);
+      // Accept a bare array from older builds, otherwise require a known version
+      const entries = Array.isArray(data) ? data :
+        (data && data.version === this.STORAGE_VERSION && Array.isArray(data.scores) ? data.scores : null);
+      if (!entries) {
+        console.warn('🏆 SCORES: Unknown high score format, using defaults');
+        return this.getDefaultScores();
+      }
 
-  runLoadingScreen() {
-    const scene = this;
-    gameState.introElements = [];
-
-    function nextStage() {
-      // Clear previous stage elements with fade effect
-      gameState.introElements.forEach(element => {
-        if (element && element.destroy) {
-          // Add fade out animation before destroying
-          scene.tweens.add({
-            targets: element,
-            alpha: 0,
-            duration: 300,
-            ease: 'Power2',
-            onComplete: () => element.destroy()
-          });
-        }
-      });
-      gameState.introElements = [];
+      const scores = entries.map(entry => this.sanitizeEntry(entry)).filter(Boolean);
+      return scores.length > 0 ? this.sortScores(scores) : this.getDefaultScores();
+    } catch (error) {
+      console.warn('❌ SCORES: Failed to load high scores, using defaults:', error);
+      return this.getDefaultScores();
+    }
+  },
 
-      // After loading, start the game with a brief pause
-      scene.time.delayedCall(500, () => {
-        GameLogicSystem.startActualGame.call(scene);
-      });
+  save() {
+    try {
+      window.localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+        version: this.STORAGE_VERSION,
+        scores: this.getScores()
+      }));
+    } catch (error) {
+      console.warn('❌ SCORES: Failed to save high scores:', error);
     }
+  },
 
-    // Add dramatic transition sound before loading screen
-    AudioSystem.createBeep(300, 0.2, 'sawtooth', 0.3);
-    scene.time.delayedCall(150, () => AudioSystem.createBeep(450, 0.15, 'sawtooth', 0.25));
-    scene.time.delayedCall(350, () => AudioSystem.createBeep(600, 0.1, 'square', 0.2));
+  sanitizeEntry(entry) {
+    if (!entry || typeof entry !== 'object') return null;
 
-    GameLogicSystem.createLoadingScreen.call(scene);
+    const score = Math.floor(Number(entry.score));
+    if (!Number.isFinite(score) || score < 0) return null;
 
-    // Move to game after loading completes (extended time for enhanced sequence)
-    scene.time.delayedCall(3000, () => {
-      AudioSystem.createBeep(800, 0.1, 'square', 0.3);
-      scene.time.delayedCall(100, () => AudioSystem.createBeep(1000, 0.1, 'square', 0.3));
-      scene.time.delayedCall(200, () => AudioSystem.createBeep(1200, 0.2, 'sawtooth', 0.4));
-      nextStage();
+    const name = String(entry.name || '')
+      .toUpperCase()
+      .split('')
+      .filter(letter => this.ALPHABET.includes(letter))
+      .join('')
+      .padEnd(GAME_CONSTANTS.HIGH_SCORE_NAME_LENGTH, ' ')
+      .substring(0, GAME_CONSTANTS.HIGH_SCORE_NAME_LENGTH);
+
+    const round = Math.max(1, Math.floor(Number(entry.round)) || 1);
+    return { name, score, round };
+  },
+
+  sortScores(scores) {
+    return scores
+      .sort((a, b) => b.score - a.score)
+      .slice(0, GAME_CONSTANTS.HIGH_SCORE_COUNT);
+  },
+
+  getDefaultScores() {
+    return this.DEFAULT_SCORES.map(entry => ({ ...entry }));
+  },
+
+  qualifies(score) {
+    const scores = this.getScores();
+    if (score <= 0) return false;
+    if (scores.length < GAME_CONSTANTS.HIGH_SCORE_COUNT) return true;
+    return score > scores[scores.length - 1].score;
+  },
+
+  // Returns the zero-based rank of the new entry, or -1 if it fell off the table
+  addScore(name, score, round) {
+    const entry = this.sanitizeEntry({ name, score, round });
+    if (!entry) return -1;
+
+    const scores = this.getScores();
+    // New entries go below existing equal scores, like the old cabinets did
+    let rank = scores.findIndex(existing => entry.score > existing.score);
+    if (rank === -1) rank = scores.length;
+    scores.splice(rank, 0, entry);
+    this.scores = scores.slice(0, GAME_CONSTANTS.HIGH_SCORE_COUNT);
+    this.save();
+
+    console.log(`🏆 SCORES: ${entry.name} entered the table at rank ${rank + 1} with ${entry.score}`);
+    return rank < GAME_CONSTANTS.HIGH_SCORE_COUNT ? rank : -1;
+  },
+
+  // Tear down whatever high score screen is showing and release its input handler
+  clear() {
+    this.activeElements.forEach(element => {
+      if (element && element.destroy) element.destroy();
     });
+    this.activeElements = [];
+
+    if (this.activeInputOff) {
+      this.activeInputOff();
+      this.activeInputOff = null;
+    }
   },
 
-  createLoadingScreen() {
-    const scene = this;
+  isEnteringName() {
+    return this.activeInputOff !== null;
+  },
 
-    // Main loading message with 80s style
-    const loadingText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 150, 'SYSTEM BOOTING UP', {
+  showNameEntry(scene, score, round, onComplete) {
+    this.clear();
+
+    const nameLength = GAME_CONSTANTS.HIGH_SCORE_NAME_LENGTH;
+    const letters = new Array(nameLength).fill(0);
+    const slotSpacing = 60;
+    const firstSlotX = GAME_CONSTANTS.WIDTH / 2 - slotSpacing * (nameLength - 1) / 2;
+    let slot = 0;
+
+    const headline = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 120, 'NEW HIGH SCORE!', {
       fontSize: '28px',
-      fill: '#00ffff',
+      fill: '#ffff00',
       fontFamily: 'Press Start 2P'
     }).setOrigin(0.5);
-    loadingText.setShadow(2, 2, '#000000', 4);
-    gameState.introElements.push(loadingText);
+    headline.setShadow(2, 2, '#000000', 4);
 
-    // Subtitle with dramatic reveal
-    const subtitleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 190, 'PLEASE STAND BY', {
+    const scoreText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 170, `${score}`, {
+      fontSize: '24px',
+      fill: '#ffffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+
+    const prompt = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 230, 'ENTER YOUR INITIALS', {
       fontSize: '16px',
-      fill: '#ffff00',
+      fill: '#00ffff',
       fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5).setAlpha(0);
-    subtitleText.setShadow(1, 1, '#000000', 3);
-    gameState.introElements.push(subtitleText);
+    }).setOrigin(0.5);
 
-    // Reveal subtitle with animation
+    const slotTexts = letters.map((letterIndex, index) => scene.add.text(firstSlotX + index * slotSpacing, 310,
+      this.ALPHABET[letterIndex], {
+        fontSize: '40px',
+        fill: '#ffffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5));
+
+    const cursor = scene.add.rectangle(firstSlotX, 345, 44, 6, 0xffff00).setOrigin(0.5);
     scene.tweens.add({
-      targets: subtitleText,
-      alpha: { from: 0, to: 1 },
-      duration: 800,
-      ease: 'Power2',
-      delay: 300
+      targets: cursor,
+      alpha: { from: 1, to: 0.2 },
+      duration: 300,
+      repeat: -1,
+      yoyo: true
     });
 
-    // Status messages that change during loading
-    const statusMessages = [
-      'INITIALIZING AI SYSTEMS...',
-      'CALIBRATING NEURAL NETWORKS...',
-      'LOADING GRAPHIC ASSETS...',
-      'ESTABLISHING SECURE CONNECTION...',
-      'DEPLOYING DEFENSE PROTOCOLS...',
-      'SYSTEM READY FOR DEPLOYMENT'
-    ];
+    const help1 = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 420, 'UP/DOWN: LETTER  LEFT/RIGHT: MOVE', {
+      fontSize: '10px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
 
-    const statusText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 230, '', {
-      fontSize: '14px',
-      fill: '#ffffff',
+    const help2 = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 445,
+      `${InputSystem.describe('confirm')}: NEXT  ${InputSystem.describe('back')}: SKIP`, {
+      fontSize: '10px',
+      fill: '#ffff00',
       fontFamily: 'Press Start 2P'
     }).setOrigin(0.5);
-    statusText.setShadow(1, 1, '#000000', 2);
-    gameState.introElements.push(statusText);
 
-    // Enhanced progress bar with 80s styling
-    const progressBg = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2, 280, 500, 40, 0x000000).setOrigin(0.5);
-    progressBg.setStrokeStyle(2, 0x00ffff);
-    const progressBar = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 250, 280, 0, 36, 0x0080ff).setOrigin(0, 0.5);
-    gameState.introElements.push(progressBg, progressBar);
+    // Tapping a letter selects it and steps it on; DONE submits (for touch screens and the mouse)
+    const done = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 490, 'DONE', {
+      fontSize: '16px',
+      fill: '#00ff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
 
-    // Secondary progress bar for more 80s feel
-    const progressBar2 = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 250, 280, 0, 32, 0x00ffff).setOrigin(0, 0.5).setAlpha(0.7);
-    gameState.introElements.push(progressBar2);
+    this.activeElements.push(headline, scoreText, prompt, ...slotTexts, cursor, help1, help2, done);
 
-    // Animated loading bars with different speeds
-    scene.tweens.add({
-      targets: progressBar,
-      width: 496,
-      duration: 2200,
-      ease: 'Power2'
-    });
+    const refresh = () => {
+      slotTexts.forEach((text, index) => {
+        text.setText(this.ALPHABET[letters[index]]);
+        text.setFill(index === slot ? '#ffff00' : '#ffffff');
+      });
+      cursor.x = firstSlotX + slot * slotSpacing;
+    };
 
-    scene.tweens.add({
-      targets: progressBar2,
-      width: 496,
-      duration: 1800,
-      ease: 'Power1',
-      delay: 200
+    const finish = () => {
+      const name = letters.map(letterIndex => this.ALPHABET[letterIndex]).join('');
+      const rank = this.addScore(name, score, round);
+      this.clear();
+      AudioSystem.playConfirmSound();
+      if (typeof onComplete === 'function') onComplete(rank);
+    };
+
+    // Back steps out without saving the score (rank -1: nothing to highlight)
+    const skip = () => {
+      this.clear();
+      AudioSystem.playBackSound();
+      if (typeof onComplete === 'function') onComplete(-1);
+    };
+
+    const onAction = (action) => {
+      switch (action) {
+        case 'up':
+          letters[slot] = (letters[slot] + 1) % this.ALPHABET.length;
+          AudioSystem.playBlipSound();
+          break;
+        case 'down':
+          letters[slot] = (letters[slot] - 1 + this.ALPHABET.length) % this.ALPHABET.length;
+          AudioSystem.playBlipSound();
+          break;
+        case 'left':
+          slot = Math.max(0, slot - 1);
+          AudioSystem.playBlipSound();
+          break;
+        case 'right':
+          slot = Math.min(nameLength - 1, slot + 1);
+          AudioSystem.playBlipSound();
+          break;
+        case 'confirm':
+          // Confirm the current letter; confirming the last one submits the name
+          if (slot === nameLength - 1) {
+            finish();
+            return;
+          }
+          slot++;
+          AudioSystem.playConfirmSound();
+          break;
+        case 'back':
+          skip();
+          return;
+        default:
+          return;
+      }
+      refresh();
+    };
+
+    slotTexts.forEach((text, index) => {
+      text.setInteractive({ useHandCursor: true });
+      text.on('pointerdown', () => {
+        slot = index;
+        onAction('up');
+      });
     });
+    done.setInteractive({ useHandCursor: true });
+    done.on('pointerdown', () => finish());
 
-    // 80s-style percentage counter
-    const percentText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 320, '0%', {
-      fontSize: '20px',
+    this.activeInputOff = InputSystem.on(scene, ['up', 'down', 'left', 'right', 'back', 'confirm'], onAction);
+    scene.events.once('shutdown', () => this.clear());
+    refresh();
+    AudioSystem.playHighScoreSound();
+  },
+
+  showTable(scene, highlightRank = -1) {
+    this.clear();
+
+    const title = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 60, 'HIGH SCORES', {
+      fontSize: '32px',
       fill: '#ffff00',
       fontFamily: 'Press Start 2P'
     }).setOrigin(0.5);
-    percentText.setShadow(1, 1, '#000000', 3);
-    gameState.introElements.push(percentText);
+    title.setShadow(2, 2, '#000000', 4);
 
-    // Update percentage with progress (synchronized with progress bar)
-    let currentPercent = 0;
-    const percentInterval = scene.time.addEvent({
-      delay: 22, // 2200ms total / 100 steps = 22ms per step
-      repeat: 100,
-      callback: () => {
-        currentPercent++;
-        percentText.setText(currentPercent + '%');
-        // Flicker effect for extra 80s feel
-        if (Math.random() > 0.9) {
-          percentText.setFill('#ff0000');
-          setTimeout(() => percentText.setFill('#ffff00'), 50);
-        }
+    const header = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 115, 'RANK  NAME    SCORE  RND', {
+      fontSize: '14px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+
+    this.activeElements.push(title, header);
+
+    this.getScores().forEach((entry, index) => {
+      const y = 155 + index * 34;
+      const rank = `${index + 1}`.padStart(2, ' ');
+      const score = `${entry.score}`.padStart(7, ' ');
+      const round = `${entry.round}`.padStart(3, ' ');
+      const row = scene.add.text(GAME_CONSTANTS.WIDTH / 2, y, `${rank}.   ${entry.name}  ${score}  ${round}`, {
+        fontSize: '16px',
+        fill: this.ROW_COLORS[index % this.ROW_COLORS.length],
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+      this.activeElements.push(row);
+
+      if (index < this.CROWN_COLORS.length) {
+        this.activeElements.push(this.drawCrown(scene, row.x - row.width / 2 - 30, y, this.CROWN_COLORS[index]));
+      }
+
+      if (index === highlightRank) {
+        scene.tweens.add({
+          targets: row,
+          alpha: { from: 1, to: 0.2 },
+          duration: 250,
+          repeat: -1,
+          yoyo: true
+        });
       }
     });
 
-    // Enhanced loading sequence with multiple phases
-    let messageIndex = 0;
-    let dotCount = 0;
+    return this.activeElements;
+  },
 
-    const loadingInterval = scene.time.addEvent({
-      delay: 400,
-      repeat: 15,
-      callback: () => {
-        // Update main loading text with animation
-        dotCount = (dotCount + 1) % 4;
-        loadingText.setText('SYSTEM BOOTING UP' + '.'.repeat(dotCount));
+  drawCrown(scene, x, y, color) {
+    const crown = scene.add.graphics({ x, y });
+    crown.fillStyle(color, 1);
+    crown.fillPoints([
+      { x: -10, y: 7 }, { x: -10, y: -5 }, { x: -5, y: 1 }, { x: 0, y: -8 },
+      { x: 5, y: 1 }, { x: 10, y: -5 }, { x: 10, y: 7 }
+    ], true);
+    crown.fillStyle(0xff0000, 1);
+    crown.fillRect(-2, 2, 4, 3);
+    return crown;
+  }
+};
 
-        // Color cycle the main text
-        const colors = ['#00ffff', '#0080ff', '#0000ff', '#8000ff', '#ff00ff', '#ff0080', '#ff0000', '#ff8000', '#ffff00', '#80ff00', '#00ff00', '#00ff80'];
-        loadingText.setFill(colors[Math.floor(Date.now() / 200) % colors.length]);
+/**
+ * Attract Mode System
+ * Runs the insert-coin attract loop across scenes and keeps track of credits
+ */
+const AttractModeSystem = {
+  STAGES: ['logo', 'title', 'scores', 'demo'],
+  STAGE_SCENES: { logo: 'Intro', title: 'Title', scores: 'Title', demo: 'Game' },
+
+  // Per-scene handles; all of them die with the scene that created them
+  attachedScene: null,
+  stage: null,
+  stageEvent: null,
+  creditText: null,
+  coinPrompt: null,
+  startPrompt: null,
+
+  // Enter the loop from anywhere: straight to START with credits left, otherwise from the logo
+  start(scene) {
+    if (gameState.credits > 0) {
+      this.showStage(scene, 'title', false);
+    } else {
+      this.showStage(scene, 'logo', true);
+    }
+  },
 
-        // Play retro sound effects
-        AudioSystem.createBeep(200 + Math.random() * 200, 0.03, 'square', 0.1);
+  showStage(scene, stage, cycle = true) {
+    console.log(`🕹️ ATTRACT: Showing ${stage} stage`);
+    const data = { attract: { stage, cycle } };
+    if (stage === 'demo') {
+      data.run = RunState.create({ demo: true });
+    }
+    scene.scene.start(this.STAGE_SCENES[stage], data);
+  },
 
-        // Update status messages every few cycles
-        if (messageIndex < statusMessages.length && loadingInterval.repeatCount % 3 === 0) {
-          statusText.setText(statusMessages[messageIndex]);
-          messageIndex++;
+  // Called from the create() of every scene that takes part in the loop
+  attach(scene, stage, cycle) {
+    this.attachedScene = scene;
+    this.stage = stage;
+    this.createFooter(scene, stage !== 'title');
+    this.bindCoinInput(scene);
 
-          // Special sound for status change
-          AudioSystem.createBeep(600, 0.08, 'sawtooth', 0.15);
-        }
+    // START (the confirm action) is live on every attract screen; without a credit it just nudges the player
+    InputSystem.on(scene, 'confirm', () => this.pressStart(scene));
+
+    if (cycle) {
+      const nextStage = this.STAGES[(this.STAGES.indexOf(stage) + 1) % this.STAGES.length];
+      this.stageEvent = scene.time.delayedCall(GAME_CONSTANTS.ATTRACT_STAGE_DURATIONS[stage], () => {
+        this.showStage(scene, nextStage, true);
+      });
+    }
+
+    scene.events.once('shutdown', () => {
+      if (this.attachedScene === scene) {
+        this.attachedScene = null;
+        this.stage = null;
+        this.stageEvent = null;
       }
     });
+    this.refreshPrompts();
+  },
 
-    // Add some 80s-style "data stream" effects
-    for (let i = 0; i < 8; i++) {
-      const dataLine = scene.add.text(
-        GAME_CONSTANTS.WIDTH / 2 + (Math.random() - 0.5) * 400,
-        350 + i * 15,
-        '01010101 01110010 01100101 01100001 01100100 01111001 00100001'.substring(0, Math.floor(Math.random() * 50) + 10),
-        {
-          fontSize: '10px',
-          fill: '#00ff00',
-          fontFamily: 'Press Start 2P'
-        }
-      ).setOrigin(0.5).setAlpha(0.6);
-      gameState.introElements.push(dataLine);
+  createFooter(scene, withCoinPrompt = true) {
+    this.creditText = scene.add.text(GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.BOUNDS_PADDING,
+      GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING, '', {
+        fontSize: '12px',
+        fill: '#ffffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(1, 1);
+    this.coinPrompt = null;
+
+    if (withCoinPrompt) {
+      this.coinPrompt = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 550, '', {
+        fontSize: '18px',
+        fill: '#ff00ff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+      this.coinPrompt.setShadow(2, 2, '#000000', 4);
+      this.coinPrompt.setInteractive();
+      this.coinPrompt.on('pointerdown', () => this.insertCoin(scene));
 
-      // Animate data lines
       scene.tweens.add({
-        targets: dataLine,
-        alpha: { from: 0.3, to: 0.8 },
-        duration: 1000 + Math.random() * 1000,
+        targets: this.coinPrompt,
+        alpha: { from: 1, to: 0.2 },
+        duration: 500,
         repeat: -1,
-        yoyo: true,
-        delay: Math.random() * 2000
+        yoyo: true
       });
     }
 
-    // Final dramatic sequence
-    scene.time.delayedCall(2200, () => {
-      loadingInterval.destroy();
-      percentInterval.destroy();
+    scene.events.once('shutdown', () => {
+      this.creditText = null;
+      this.coinPrompt = null;
+      this.startPrompt = null;
+    });
+    this.refreshPrompts();
+  },
 
-      // Ensure percentage shows 100%
-      percentText.setText('100%');
-      percentText.setFill('#00ff00'); // Green for completion
+  bindCoinInput(scene) {
+    // C or 5 drops a coin by default (5 is the classic cabinet coin switch mapping), Select on a pad
+    InputSystem.on(scene, 'coin', () => this.insertCoin(scene));
+  },
 
-      // Final system ready message
-      statusText.setText('SYSTEM READY - ENGAGE!');
+  // Screens with their own START button register it so its label follows the credit count
+  registerStartPrompt(startButton, instruction, readyLabel = 'PRESS START') {
+    this.startPrompt = { startButton, instruction, readyLabel };
+    this.refreshPrompts();
+  },
 
-      // Dramatic sound sequence
-      const finalSounds = [800, 1000, 1200, 1500];
-      finalSounds.forEach((freq, index) => {
-        setTimeout(() => {
-          AudioSystem.createBeep(freq, 0.15, 'sawtooth', 0.3);
-        }, index * 150);
-      });
+  insertCoin(scene) {
+    // A coin is a user gesture, so it doubles as the audio unlock
+    AudioSystem.unlock();
 
-      // Flash effect for final reveal
-      scene.tweens.add({
-        targets: [loadingText, statusText, percentText],
-        alpha: { from: 1, to: 0.3 },
-        duration: 100,
-        repeat: 3,
-        yoyo: true,
-        onComplete: () => {
-          // Call next stage if available
-          if (this.nextStage) this.nextStage();
-        }
-      });
-    });
-  },
+    if (gameState.credits >= GAME_CONSTANTS.MAX_CREDITS) {
+      AudioSystem.playBlipSound();
+      return;
+    }
 
-  showTitleScreen() {
+    gameState.credits++;
+    console.log(`🪙 ATTRACT: Coin inserted, credits: ${gameState.credits}`);
+    scene.time.delayedCall(50, () => AudioSystem.playCoinSound());
+
+    if (this.attachedScene === scene) {
+      if (this.stage !== 'title') {
+        this.showStage(scene, 'title', false);
+        return;
+      }
+      if (this.stageEvent) {
+        // Already on the title: stop cycling and wait for START
+        this.stageEvent.remove();
+        this.stageEvent = null;
+      }
+    }
+    this.refreshPrompts();
+  },
+
+  useCredit() {
+    if (gameState.credits <= 0) return false;
+    gameState.credits--;
+    this.refreshPrompts();
+    return true;
+  },
+
+  // START: spend a credit and begin a fresh run, or flash the coin prompt
+  pressStart(scene, targetScene = 'Loading', runOptions = {}) {
+    if (!this.useCredit()) {
+      this.flashCoinPrompt(scene);
+      return false;
+    }
+
+    console.log('👆 AUDIO: First user interaction detected - unlocking audio');
+    AudioSystem.unlock();
+    scene.scene.start(targetScene, { run: RunState.create(runOptions) });
+    return true;
+  },
+
+  flashCoinPrompt(scene) {
+    AudioSystem.playBlipSound();
+    const target = this.startPrompt ? this.startPrompt.startButton : this.coinPrompt;
+    if (!target) return;
+    const originalColor = target.style.color;
+    target.setFill('#ff0000');
+    scene.time.delayedCall(300, () => {
+      if (target.active) target.setFill(originalColor);
+    });
+  },
+
+  refreshPrompts() {
+    const hasCredits = gameState.credits > 0;
+
+    if (this.creditText) {
+      this.creditText.setText(`CREDIT ${gameState.credits}`);
+    }
+    if (this.coinPrompt) {
+      this.coinPrompt.setText(hasCredits ? 'PRESS START' : 'INSERT COIN');
+    }
+    if (this.startPrompt) {
+      this.startPrompt.startButton.setText(hasCredits ? this.startPrompt.readyLabel : 'INSERT COIN');
+      this.startPrompt.instruction.setText(hasCredits
+        ? `OR PRESS ${InputSystem.describe('confirm')}`
+        : `PRESS ${InputSystem.describe('coin')} TO INSERT COIN`);
+    }
+  },
+
+  // Autopilot for the demo: head for the nearest GPU, but sidestep enemies that get close
+  getDemoControls(scene) {
+    const controls = { left: { isDown: false }, right: { isDown: false }, up: { isDown: false }, down: { isDown: false } };
+    const player = scene.player;
+    if (!player) return controls;
+
+    let targetX = player.x;
+    let targetY = player.y;
+    let nearest = Infinity;
+    scene.collectibles.getChildren().forEach(collectible => {
+      const distance = Phaser.Math.Distance.Between(player.x, player.y, collectible.x, collectible.y);
+      if (distance < nearest) {
+        nearest = distance;
+        targetX = collectible.x;
+        targetY = collectible.y;
+      }
+    });
+
+    // Walk around walls rather than into them
+    if (!ArenaSystem.hasLineOfSight(scene, player.x, player.y, targetX, targetY)) {
+      const path = ArenaSystem.findPath(scene, player.x, player.y, targetX, targetY);
+      if (path && path.length > 1) {
+        targetX = path[1].x;
+        targetY = path[1].y;
+      }
+    }
+
+    scene.enemies.getChildren().forEach(enemy => {
+      const distance = Phaser.Math.Distance.Between(player.x, player.y, enemy.x, enemy.y);
+      if (distance < GAME_CONSTANTS.ENEMY_SIZE * 2) {
+        targetX = player.x + (player.x - enemy.x);
+        targetY = player.y + (player.y - enemy.y);
+      }
+    });
+
+    const deadZone = GAME_CONSTANTS.PLAYER_SPEED * GAME_CONSTANTS.SIMULATION_STEP;
+    controls.left.isDown = targetX < player.x - deadZone;
+    controls.right.isDown = targetX > player.x + deadZone;
+    controls.up.isDown = targetY < player.y - deadZone;
+    controls.down.isDown = targetY > player.y + deadZone;
+    return controls;
+  }
+};
+
+/**
+ * Arena System
+ * Wall layouts on a coarse grid: drawing, collision for everything that moves, free
+ * spawn points, and the pathfinding enemies use to get around the walls (a flow field
+ * toward the player, rebuilt only when the player changes cell, plus A* between cells)
+ */
+const ArenaSystem = {
+  CELL_SIZE: 40,
+  BODY_RADIUS: 14, // half-size of the player and enemy bodies against walls
+  PICKUP_RADIUS: 8,
+  WALL_FILL: 0x001133,
+  WALL_EDGE: 0x00ffff,
+  // Walls as [col, row, width, height] in cells; the top rows stay clear for the HUD
+  // and the middle for the player start
+  LAYOUTS: {
+    open: [],
+    pillars: [[4, 4, 2, 2], [14, 4, 2, 2], [4, 9, 2, 2], [14, 9, 2, 2]],
+    cross: [[9, 2, 2, 3], [9, 10, 2, 3], [3, 7, 4, 1], [13, 7, 4, 1]],
+    bunkers: [
+      [3, 3, 4, 1], [3, 4, 1, 2], [13, 3, 4, 1], [16, 4, 1, 2],
+      [3, 11, 4, 1], [3, 9, 1, 2], [13, 11, 4, 1], [16, 9, 1, 2]
+    ]
+  },
+
+  // Build (or rebuild) the arena from a named layout or a level's own walls;
+  // anything already standing where a wall goes is pushed out
+  create(scene, name, cells = this.LAYOUTS[name] || []) {
+    if (scene.arena) {
+      scene.arena.graphics.destroy();
+    }
+    const graphics = scene.add.graphics();
+    scene.arena = Object.assign(this.buildGrid(cells), { name, graphics, flow: null, flowCell: -1 });
+    this.drawWalls(graphics, scene.arena.walls);
+    graphics.setDepth(-1);
+    console.log(`🧱 ARENA: ${name} (${scene.arena.walls.length} walls)`);
+
+    const bodies = [scene.player, ...scene.enemies.getChildren(), ...scene.collectibles.getChildren(), ...scene.powerUps.getChildren()];
+    bodies.forEach(body => this.resolve(scene, body, body.x, body.y));
+  },
+
+  // Wall rectangles, blocked cells and the links between open cells for a list of [col, row, width, height]
+  buildGrid(cells) {
+    const cell = this.CELL_SIZE;
+    const cols = Math.ceil(GAME_CONSTANTS.WIDTH / cell);
+    const rows = Math.ceil(GAME_CONSTANTS.HEIGHT / cell);
+    const blocked = new Array(cols * rows).fill(false);
+    const walls = cells.map(([col, row, width, height]) => {
+      for (let r = row; r < row + height; r++) {
+        for (let c = col; c < col + width; c++) {
+          blocked[r * cols + c] = true;
+        }
+      }
+      return { x: col * cell, y: row * cell, width: width * cell, height: height * cell };
+    });
+
+    const grid = { cols, rows, walls, blocked, links: [] };
+    for (let index = 0; index < cols * rows; index++) {
+      grid.links.push(blocked[index] ? [] : this.findLinks(grid, index));
+    }
+    return grid;
+  },
+
+  drawWalls(graphics, walls) {
+    walls.forEach(wall => {
+      graphics.fillStyle(this.WALL_FILL, 1);
+      graphics.fillRect(wall.x, wall.y, wall.width, wall.height);
+      graphics.lineStyle(2, this.WALL_EDGE, 0.8);
+      graphics.strokeRect(wall.x + 1, wall.y + 1, wall.width - 2, wall.height - 2);
+    });
+  },
+
+  // Open neighbours of a cell; diagonals only when both sides are open, so paths never cut a wall corner
+  findLinks(arena, index) {
+    const col = index % arena.cols;
+    const row = Math.floor(index / arena.cols);
+    const open = (c, r) => c >= 0 && r >= 0 && c < arena.cols && r < arena.rows && !arena.blocked[r * arena.cols + c];
+    const links = [];
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if ((dc || dr) && open(col + dc, row + dr) && (!dc || !dr || (open(col + dc, row) && open(col, row + dr)))) {
+          links.push((row + dr) * arena.cols + col + dc);
+        }
+      }
+    }
+    return links;
+  },
+
+  getCell(scene, x, y) {
+    const arena = scene.arena;
+    const col = Phaser.Math.Clamp(Math.floor(x / this.CELL_SIZE), 0, arena.cols - 1);
+    const row = Phaser.Math.Clamp(Math.floor(y / this.CELL_SIZE), 0, arena.rows - 1);
+    return row * arena.cols + col;
+  },
+
+  getCellCenter(scene, index) {
+    return {
+      x: (index % scene.arena.cols + 0.5) * this.CELL_SIZE,
+      y: (Math.floor(index / scene.arena.cols) + 0.5) * this.CELL_SIZE
+    };
+  },
+
+  isBlockedAt(scene, x, y) {
+    return scene.arena.blocked[this.getCell(scene, x, y)];
+  },
+
+  overlapsWall(wall, x, y, radius) {
+    return x + radius > wall.x && x - radius < wall.x + wall.width &&
+      y + radius > wall.y && y - radius < wall.y + wall.height;
+  },
+
+  isAreaFree(scene, x, y, radius) {
+    return !scene.arena.walls.some(wall => this.overlapsWall(wall, x, y, radius));
+  },
+
+  // A seeded random point at least margin from the edges with room for a body of the given radius
+  getRandomPoint(scene, margin, radius) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const x = RandomSystem.between(margin, GAME_CONSTANTS.WIDTH - margin);
+      const y = RandomSystem.between(margin, GAME_CONSTANTS.HEIGHT - margin);
+      if (this.isAreaFree(scene, x, y, radius)) {
+        return { x, y };
+      }
+    }
+    return { x: GAME_CONSTANTS.WIDTH / 2, y: GAME_CONSTANTS.HEIGHT / 2 };
+  },
+
+  // Slide a body that moved from (fromX, fromY) out of any wall it ran into, one axis at a time
+  resolve(scene, body, fromX, fromY, radius = this.BODY_RADIUS) {
+    const toY = body.y;
+    body.y = fromY;
+    this.resolveAxis(scene, body, 'x', body.x - fromX, radius);
+    body.y = toY;
+    this.resolveAxis(scene, body, 'y', body.y - fromY, radius);
+  },
+
+  resolveAxis(scene, body, axis, moved, radius) {
+    const size = axis === 'x' ? 'width' : 'height';
+    scene.arena.walls.forEach(wall => {
+      if (this.overlapsWall(wall, body.x, body.y, radius)) {
+        const before = wall[axis] - radius;
+        const after = wall[axis] + wall[size] + radius;
+        if (moved > 0) {
+          body[axis] = before;
+        } else if (moved < 0) {
+          body[axis] = after;
+        } else {
+          // Didn't move on this axis (spawned or pushed in): take the nearer side
+          body[axis] = body[axis] - before < after - body[axis] ? before : after;
+        }
+      }
+    });
+  },
+
+  // Walk the segment in quarter cells; true when no wall cell is in the way
+  hasLineOfSight(scene, fromX, fromY, toX, toY) {
+    if (scene.arena.walls.length === 0) return true;
+    const distance = Phaser.Math.Distance.Between(fromX, fromY, toX, toY);
+    const samples = Math.ceil(distance / (this.CELL_SIZE / 4));
+    for (let i = 1; i <= samples; i++) {
+      const t = i / samples;
+      if (this.isBlockedAt(scene, fromX + (toX - fromX) * t, fromY + (toY - fromY) * t)) {
+        return false;
+      }
+    }
+    return true;
+  },
+
+  // Breadth-first distances (in steps) from the player's cell to every open cell
+  updateFlowField(scene) {
+    const arena = scene.arena;
+    const target = this.getCell(scene, scene.player.x, scene.player.y);
+    if (target === arena.flowCell) return;
+    arena.flowCell = target;
+
+    const flow = new Array(arena.cols * arena.rows).fill(Infinity);
+    flow[target] = 0;
+    const queue = [target];
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head];
+      arena.links[index].forEach(next => {
+        if (flow[next] === Infinity) {
+          flow[next] = flow[index] + 1;
+          queue.push(next);
+        }
+      });
+    }
+    arena.flow = flow;
+  },
+
+  // Where to head next on the way to (x, y): straight there with a clear view, otherwise
+  // downhill on the flow field (which leads to the player, the usual target anyway)
+  getChaseWaypoint(scene, fromX, fromY, x, y) {
+    if (this.hasLineOfSight(scene, fromX, fromY, x, y)) {
+      return { x, y };
+    }
+    const arena = scene.arena;
+    const index = this.getCell(scene, fromX, fromY);
+    let best = index;
+    arena.links[index].forEach(next => {
+      if (arena.flow[next] < arena.flow[best]) best = next;
+    });
+    return best === index ? { x, y } : this.getCellCenter(scene, best);
+  },
+
+  // A* between the cells of two points; returns cell centres from start to goal, or null if unreachable
+  findPath(scene, fromX, fromY, toX, toY) {
+    const arena = scene.arena;
+    const start = this.getCell(scene, fromX, fromY);
+    const goal = this.getCell(scene, toX, toY);
+    if (arena.blocked[goal]) return null;
+
+    const colOf = index => index % arena.cols;
+    const rowOf = index => Math.floor(index / arena.cols);
+    const estimate = index => {
+      const dx = Math.abs(colOf(index) - colOf(goal));
+      const dy = Math.abs(rowOf(index) - rowOf(goal));
+      return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    };
+
+    const cost = new Map([[start, 0]]);
+    const cameFrom = new Map();
+    const open = [start];
+    while (open.length > 0) {
+      let lowest = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (cost.get(open[i]) + estimate(open[i]) < cost.get(open[lowest]) + estimate(open[lowest])) lowest = i;
+      }
+      const current = open.splice(lowest, 1)[0];
+      if (current === goal) {
+        const path = [current];
+        while (cameFrom.has(path[0])) path.unshift(cameFrom.get(path[0]));
+        return path.map(index => this.getCellCenter(scene, index));
+      }
+      arena.links[current].forEach(next => {
+        const step = colOf(next) !== colOf(current) && rowOf(next) !== rowOf(current) ? Math.SQRT2 : 1;
+        const nextCost = cost.get(current) + step;
+        if (!cost.has(next) || nextCost < cost.get(next)) {
+          cost.set(next, nextCost);
+          cameFrom.set(next, current);
+          if (!open.includes(next)) open.push(next);
+        }
+      });
+    }
+    return null;
+  }
+};
+
+/**
+ * Enemy System
+ * Registry of enemy archetypes: each type declares its sprite, speed multiplier,
+ * damage and per-step behavior, and GameFactory builds enemies from it
+ */
+const EnemySystem = {
+  // speed is a multiplier on the run's enemy speed; minRound gates the round-start spawn pool;
+  // stunScale lengthens or shortens a pulse stun (the ability's EMP) for that type; health is
+  // the shots it takes to destroy and score what destroying it pays
+  TYPES: {
+    random: {
+      texture: 'enemy-random', speed: 1, damage: 10, minRound: 2, stunScale: 0.5, health: 1, score: 20,
+      update(scene, enemy, step) {
+        // Jitter in place
+        enemy.x += RandomSystem.floatBetween(-step, step);
+        enemy.y += RandomSystem.floatBetween(-step, step);
+      }
+    },
+    chaser: {
+      texture: 'enemy-chaser', speed: 0.24, damage: 15, minRound: 2, stunScale: 2, health: 2, score: 30,
+      update(scene, enemy, step) {
+        if (scene.player.visible) {
+          EnemySystem.pursue(scene, enemy, scene.player.x, scene.player.y, step);
+        }
+      }
+    },
+    patrol: {
+      texture: 'enemy-patrol', speed: 0.7, damage: 20, minRound: 2, health: 3, score: 40,
+      init(enemy) {
+        enemy.route = [];
+      },
+      update(scene, enemy, step) {
+        // Walk an A* route to a nearby open cell, then pick the next one
+        if (enemy.route.length === 0) {
+          const range = EnemySystem.PATROL_RANGE * ArenaSystem.CELL_SIZE;
+          const goalX = Phaser.Math.Clamp(enemy.x + RandomSystem.between(-range, range), 0, GAME_CONSTANTS.WIDTH - 1);
+          const goalY = Phaser.Math.Clamp(enemy.y + RandomSystem.between(-range, range), 0, GAME_CONSTANTS.HEIGHT - 1);
+          enemy.route = ArenaSystem.findPath(scene, enemy.x, enemy.y, goalX, goalY) || [];
+          return;
+        }
+
+        // Edge cells' centres sit outside the bounds, so aim for the nearest point inside
+        const waypoint = EnemySystem.clampToBounds({ x: enemy.route[0].x, y: enemy.route[0].y });
+        if (Phaser.Math.Distance.Between(enemy.x, enemy.y, waypoint.x, waypoint.y) <= step) {
+          enemy.x = waypoint.x;
+          enemy.y = waypoint.y;
+          enemy.route.shift();
+        } else {
+          EnemySystem.moveToward(enemy, waypoint.x, waypoint.y, step);
+        }
+      }
+    },
+    wanderer: {
+      texture: 'enemy-wanderer', speed: 0.45, damage: 10, minRound: 2, health: 1, score: 20,
+      init(enemy) {
+        enemy.heading = RandomSystem.floatBetween(-Math.PI, Math.PI);
+        enemy.turnRate = 0;
+      },
+      update(scene, enemy, step, dt) {
+        // The turn rate drifts a little each step, so the path curves instead of jittering
+        const system = EnemySystem;
+        enemy.turnRate = Phaser.Math.Clamp(
+          enemy.turnRate + RandomSystem.floatBetween(-1, 1) * system.WANDER_JITTER * dt,
+          -system.WANDER_MAX_TURN, system.WANDER_MAX_TURN);
+        enemy.heading += enemy.turnRate * dt;
+
+        // Turn hard, keeping the current sense of turn, when a wall is coming up
+        const lookX = enemy.x + Math.cos(enemy.heading) * ArenaSystem.CELL_SIZE;
+        const lookY = enemy.y + Math.sin(enemy.heading) * ArenaSystem.CELL_SIZE;
+        if (ArenaSystem.isBlockedAt(scene, lookX, lookY)) {
+          enemy.turnRate = enemy.turnRate < 0 ? -system.WANDER_MAX_TURN : system.WANDER_MAX_TURN;
+        }
+
+        // Ease back toward the middle when it gets close to an edge
+        const margin = system.WANDER_EDGE_MARGIN;
+        if (enemy.x < margin || enemy.x > GAME_CONSTANTS.WIDTH - margin ||
+            enemy.y < margin || enemy.y > GAME_CONSTANTS.HEIGHT - margin) {
+          const home = Phaser.Math.Angle.Between(enemy.x, enemy.y, GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2);
+          enemy.heading = Phaser.Math.Angle.RotateTo(enemy.heading, home, system.WANDER_EDGE_TURN * dt);
+        }
+
+        enemy.x += Math.cos(enemy.heading) * step;
+        enemy.y += Math.sin(enemy.heading) * step;
+      }
+    },
+    ambusher: {
+      texture: 'enemy-ambusher', speed: 0.3, damage: 15, minRound: 3, stunScale: 1.5, health: 2, score: 40,
+      update(scene, enemy, step) {
+        const player = scene.player;
+        if (!player.visible) return;
+
+        // Aim where the player will be, then commit once that spot is reached
+        const velocity = scene.enemyState.playerVelocity;
+        const aheadX = Phaser.Math.Clamp(player.x + velocity.x * EnemySystem.AMBUSH_LOOKAHEAD, 0, GAME_CONSTANTS.WIDTH);
+        const aheadY = Phaser.Math.Clamp(player.y + velocity.y * EnemySystem.AMBUSH_LOOKAHEAD, 0, GAME_CONSTANTS.HEIGHT);
+        if (Phaser.Math.Distance.Between(enemy.x, enemy.y, aheadX, aheadY) < GAME_CONSTANTS.ENEMY_SIZE) {
+          EnemySystem.pursue(scene, enemy, player.x, player.y, step);
+        } else {
+          EnemySystem.pursue(scene, enemy, aheadX, aheadY, step);
+        }
+      }
+    },
+    flanker: {
+      texture: 'enemy-flanker', speed: 0.32, damage: 15, minRound: 4, stunScale: 0.75, health: 2, score: 40,
+      init(enemy) {
+        enemy.orbitAngle = RandomSystem.floatBetween(-Math.PI, Math.PI);
+      },
+      update(scene, enemy, step, dt) {
+        const player = scene.player;
+        if (!player.visible) return;
+
+        // Take the side of the player opposite the closest chaser; with no chaser, circle the player
+        const system = EnemySystem;
+        const chaser = system.findNearest(scene, player.x, player.y, other => other.type === 'chaser');
+        let angle;
+        if (chaser) {
+          angle = Phaser.Math.Angle.Between(chaser.x, chaser.y, player.x, player.y);
+        } else {
+          enemy.orbitAngle += system.FLANK_ORBIT_SPEED * dt;
+          angle = enemy.orbitAngle;
+        }
+        const flankX = player.x + Math.cos(angle) * system.FLANK_DISTANCE;
+        const flankY = player.y + Math.sin(angle) * system.FLANK_DISTANCE;
+
+        if (Phaser.Math.Distance.Between(enemy.x, enemy.y, flankX, flankY) < system.FLANK_DISTANCE / 2) {
+          system.pursue(scene, enemy, player.x, player.y, step);
+        } else {
+          system.pursue(scene, enemy, flankX, flankY, step);
+        }
+      }
+    },
+    splitter: {
+      texture: 'enemy-splitter', speed: 0.2, damage: 20, minRound: 5, health: 4, score: 60,
+      update(scene, enemy, step) {
+        if (scene.player.visible) {
+          EnemySystem.pursue(scene, enemy, scene.player.x, scene.player.y, step);
+        }
+      },
+      // Stunned, it breaks into two small enemies either side of where it stood
+      stun(scene, enemy) {
+        const offset = GAME_CONSTANTS.ENEMY_SIZE / 2;
+        [-offset, offset].forEach(dx => {
+          const half = GameFactory.createEnemy(scene, enemy.x + dx, enemy.y, 'splitling');
+          if (half) {
+            ArenaSystem.resolve(scene, half, enemy.x, enemy.y);
+            EnemySystem.clampToBounds(half);
+            scene.enemies.add(half);
+          }
+        });
+        scene.enemies.remove(enemy, true, true);
+      }
+    },
+    splitling: {
+      texture: 'enemy-splitter', speed: 0.35, damage: 8, scale: 0.6, health: 1, score: 10,
+      update(scene, enemy, step) {
+        if (scene.player.visible) {
+          EnemySystem.pursue(scene, enemy, scene.player.x, scene.player.y, step);
+        }
+      }
+    }
+  },
+  WANDER_JITTER: 12, // radians per second squared
+  WANDER_MAX_TURN: 2.5, // radians per second
+  WANDER_EDGE_MARGIN: 80,
+  WANDER_EDGE_TURN: 4,
+  PATROL_RANGE: 5, // cells a patrol route may reach in each direction
+  AMBUSH_LOOKAHEAD: 0.6, // seconds ahead of the player
+  FLANK_DISTANCE: 120,
+  FLANK_ORBIT_SPEED: 1.2, // radians per second
+
+  createState() {
+    return { lastPlayerX: null, lastPlayerY: null, playerVelocity: { x: 0, y: 0 } };
+  },
+
+  getType(type) {
+    return this.TYPES[type] || this.TYPES.random;
+  },
+
+  // Types that can be placed or spawned on their own (splitlings only come from a splitter)
+  isSpawnable(type) {
+    return Boolean(this.TYPES[type] && this.TYPES[type].minRound);
+  },
+
+  // Types that can join at the start of a round
+  getSpawnTypes(round) {
+    return Object.keys(this.TYPES).filter(type => this.isSpawnable(type) && round >= this.TYPES[type].minRound);
+  },
+
+  // One simulation step: every enemy runs its behavior (an EMP power-up freezes them all in place,
+  // and a pulse holds the ones it stunned)
+  update(scene, dt) {
+    const state = scene.enemyState;
+    const player = scene.player;
+    if (state.lastPlayerX !== null) {
+      state.playerVelocity.x = (player.x - state.lastPlayerX) / dt;
+      state.playerVelocity.y = (player.y - state.lastPlayerY) / dt;
+    }
+    state.lastPlayerX = player.x;
+    state.lastPlayerY = player.y;
+    ArenaSystem.updateFlowField(scene);
+
+    const frozen = PowerUpSystem.isActive(scene, 'emp');
+    scene.enemies.getChildren().forEach(enemy => {
+      if (frozen || enemy.stunTimer > 0) {
+        enemy.stunTimer = Math.max(0, enemy.stunTimer - dt);
+        enemy.setTint(PowerUpSystem.TYPES.emp.tint);
+        if (!frozen && enemy.stunTimer === 0) {
+          enemy.clearTint();
+        }
+        return;
+      }
+
+      const type = this.getType(enemy.type);
+      const fromX = enemy.x;
+      const fromY = enemy.y;
+      type.update(scene, enemy, scene.run.enemySpeed * type.speed * dt, dt);
+      ArenaSystem.resolve(scene, enemy, fromX, fromY, ArenaSystem.BODY_RADIUS * (type.scale || 1));
+      this.clampToBounds(enemy);
+    });
+  },
+
+  // Stun every enemy at once; types with a stun reaction get to act on it
+  stunAll(scene) {
+    scene.enemies.getChildren().slice().forEach(enemy => {
+      const type = this.getType(enemy.type);
+      if (type.stun) {
+        type.stun(scene, enemy);
+      }
+    });
+  },
+
+  // Stun one enemy for seconds scaled by its type; types with a stun reaction still get it
+  stun(scene, enemy, seconds) {
+    const type = this.getType(enemy.type);
+    enemy.stunTimer = Math.max(enemy.stunTimer, seconds * (type.stunScale || 1));
+    if (type.stun) {
+      type.stun(scene, enemy);
+    }
+  },
+
+  getHitRadius(enemy) {
+    return GAME_CONSTANTS.ENEMY_SIZE * (this.getType(enemy.type).scale || 1);
+  },
+
+  // Head for (x, y), going around walls when they are in the way
+  pursue(scene, enemy, x, y, step) {
+    const waypoint = ArenaSystem.getChaseWaypoint(scene, enemy.x, enemy.y, x, y);
+    this.moveToward(enemy, waypoint.x, waypoint.y, step);
+  },
+
+  moveToward(enemy, x, y, step) {
+    const angle = Phaser.Math.Angle.Between(enemy.x, enemy.y, x, y);
+    enemy.x += Math.cos(angle) * step;
+    enemy.y += Math.sin(angle) * step;
+  },
+
+  findNearest(scene, x, y, filter) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    scene.enemies.getChildren().forEach(enemy => {
+      if (!filter(enemy)) return;
+      const distance = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
+      if (distance < nearestDistance) {
+        nearest = enemy;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  },
+
+  clampToBounds(point) {
+    point.x = Phaser.Math.Clamp(point.x, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
+    point.y = Phaser.Math.Clamp(point.y, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
+    return point;
+  }
+};
+
+/**
+ * Round System
+ * Round definitions loaded from assets/rounds.json: enemy roster, speed, GPU count and
+ * layout, time limit, arena and special rules. They are validated on load, and a
+ * generator carries on endlessly once the authored rounds run out.
+ */
+const RoundSystem = {
+  VERSION: 1,
+  ROUND_FIELDS: ['name', 'arena', 'enemies', 'speed', 'collectibles', 'layout', 'timeLimit', 'rules', 'boss'],
+  ENDLESS_FIELDS: ['speedPerRound', 'enemiesPerRound', 'maxEnemies', 'collectibles', 'layout', 'timeLimit', 'bossEvery'],
+  LAYOUTS: ['scatter', 'ring', 'grid', 'border'],
+  RULES: {
+    noPowerUps: 'No power-ups spawn',
+    restoreHealth: 'Health is refilled when the round starts',
+    doubleScore: 'GPUs are worth double'
+  },
+  RING_RADIUS: 200,
+  BORDER_INSET: 60,
+  // Round 1 and the endless settings when rounds.json is missing or invalid (the classic progression)
+  FIRST_ROUND: { enemies: [{ type: 'random', count: GAME_CONSTANTS.ENEMY_COUNT }], speed: 1 },
+  DEFAULT_ENDLESS: {
+    speedPerRound: GAME_CONSTANTS.ENEMY_SPEED_PER_ROUND / GAME_CONSTANTS.ENEMY_SPEED,
+    enemiesPerRound: 1,
+    maxEnemies: 20,
+    collectibles: GAME_CONSTANTS.COLLECTIBLE_COUNT,
+    layout: 'scatter',
+    timeLimit: 0,
+    bossEvery: 5
+  },
+  // Generated boss rounds: the AI Core in an open arena, with GPUs in a ring to carry to it
+  BOSS_ROUND: { name: 'AI CORE', arena: 'open', layout: 'ring' },
+
+  rounds: [],
+  endless: null,
+
+  // Validate and keep the definitions; anything wrong rejects the whole file with one message per problem
+  load(data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      console.error(`❌ rounds.json rejected, using the endless generator from round 1:\n  ${errors.join('\n  ')}`);
+      this.rounds = [];
+      this.endless = { ...this.DEFAULT_ENDLESS };
+      return false;
+    }
+
+    this.rounds = data.rounds.map(round => this.normalize(round));
+    this.endless = { ...this.DEFAULT_ENDLESS, ...(data.endless || {}) };
+    console.log(`🗺️ ROUNDS: ${this.rounds.length} authored, endless after that`);
+    return true;
+  },
+
+  validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') {
+      return ['rounds.json is missing or is not a JSON object'];
+    }
+    if (data.version !== this.VERSION) {
+      errors.push(`version must be ${this.VERSION} (got ${JSON.stringify(data.version)})`);
+    }
+    if (!Array.isArray(data.rounds)) {
+      errors.push('rounds must be an array');
+    } else {
+      data.rounds.forEach((round, index) => this.validateRound(round, `rounds[${index}]`, errors));
+    }
+    if (data.endless !== undefined) {
+      this.validateEndless(data.endless, errors);
+    }
+    return errors;
+  },
+
+  validateRound(round, path, errors) {
+    if (!round || typeof round !== 'object' || Array.isArray(round)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    Object.keys(round).filter(key => !this.ROUND_FIELDS.includes(key)).forEach(key => {
+      errors.push(`${path}.${key} is not a round field (expected ${this.ROUND_FIELDS.join(', ')})`);
+    });
+
+    if (round.name !== undefined && typeof round.name !== 'string') {
+      errors.push(`${path}.name must be a string`);
+    }
+    if (round.arena !== undefined && !ArenaSystem.LAYOUTS[round.arena]) {
+      errors.push(`${path}.arena "${round.arena}" is not an arena (${Object.keys(ArenaSystem.LAYOUTS).join(', ')})`);
+    }
+    if (!Array.isArray(round.enemies)) {
+      errors.push(`${path}.enemies must be an array of { type, count }`);
+    } else {
+      round.enemies.forEach((entry, index) => {
+        const entryPath = `${path}.enemies[${index}]`;
+        if (!entry || !EnemySystem.isSpawnable(entry.type)) {
+          const types = Object.keys(EnemySystem.TYPES).filter(type => EnemySystem.isSpawnable(type));
+          errors.push(`${entryPath}.type "${entry && entry.type}" is not a spawnable enemy type (${types.join(', ')})`);
+        }
+        if (!entry || !this.isWholeNumber(entry.count, 0)) {
+          errors.push(`${entryPath}.count must be a whole number of 0 or more`);
+        }
+      });
+    }
+    if (typeof round.speed !== 'number' || !(round.speed > 0)) {
+      errors.push(`${path}.speed must be a number above 0 (1 is the base enemy speed)`);
+    }
+    if (round.collectibles !== undefined && !this.isWholeNumber(round.collectibles, 1)) {
+      errors.push(`${path}.collectibles must be a whole number of 1 or more`);
+    }
+    if (round.layout !== undefined && !this.LAYOUTS.includes(round.layout)) {
+      errors.push(`${path}.layout "${round.layout}" is not a GPU layout (${this.LAYOUTS.join(', ')})`);
+    }
+    if (round.timeLimit !== undefined && !(typeof round.timeLimit === 'number' && round.timeLimit >= 0)) {
+      errors.push(`${path}.timeLimit must be seconds (0 for no limit)`);
+    }
+    if (round.boss !== undefined && typeof round.boss !== 'boolean') {
+      errors.push(`${path}.boss must be true or false`);
+    }
+    if (round.rules !== undefined) {
+      if (!Array.isArray(round.rules)) {
+        errors.push(`${path}.rules must be an array`);
+      } else {
+        round.rules.filter(rule => !this.RULES[rule]).forEach(rule => {
+          errors.push(`${path}.rules "${rule}" is not a rule (${Object.keys(this.RULES).join(', ')})`);
+        });
+      }
+    }
+  },
+
+  validateEndless(endless, errors) {
+    if (!endless || typeof endless !== 'object' || Array.isArray(endless)) {
+      errors.push('endless must be an object');
+      return;
+    }
+    Object.keys(endless).filter(key => !this.ENDLESS_FIELDS.includes(key)).forEach(key => {
+      errors.push(`endless.${key} is not an endless field (expected ${this.ENDLESS_FIELDS.join(', ')})`);
+    });
+    if (endless.speedPerRound !== undefined && !(typeof endless.speedPerRound === 'number' && endless.speedPerRound >= 0)) {
+      errors.push('endless.speedPerRound must be a number of 0 or more');
+    }
+    ['enemiesPerRound', 'maxEnemies', 'bossEvery'].forEach(key => {
+      if (endless[key] !== undefined && !this.isWholeNumber(endless[key], 0)) {
+        errors.push(`endless.${key} must be a whole number of 0 or more`);
+      }
+    });
+    if (endless.collectibles !== undefined && !this.isWholeNumber(endless.collectibles, 1)) {
+      errors.push('endless.collectibles must be a whole number of 1 or more');
+    }
+    if (endless.layout !== undefined && !this.LAYOUTS.includes(endless.layout)) {
+      errors.push(`endless.layout "${endless.layout}" is not a GPU layout (${this.LAYOUTS.join(', ')})`);
+    }
+    if (endless.timeLimit !== undefined && !(typeof endless.timeLimit === 'number' && endless.timeLimit >= 0)) {
+      errors.push('endless.timeLimit must be seconds (0 for no limit)');
+    }
+  },
+
+  isWholeNumber(value, min) {
+    return Number.isInteger(value) && value >= min;
+  },
+
+  normalize(round) {
+    return {
+      name: round.name || '',
+      arena: round.arena || null,
+      enemies: round.enemies.map(entry => ({ type: entry.type, count: entry.count })),
+      speed: round.speed,
+      collectibles: round.collectibles || GAME_CONSTANTS.COLLECTIBLE_COUNT,
+      layout: round.layout || 'scatter',
+      timeLimit: round.timeLimit || 0,
+      rules: round.rules ? round.rules.slice() : [],
+      boss: Boolean(round.boss)
+    };
+  },
+
+  // The next round after previous: authored while they last, then generated
+  getRound(number, previous) {
+    if (number <= this.rounds.length) {
+      return this.rounds[number - 1];
+    }
+    if (!previous) {
+      return this.normalize(this.FIRST_ROUND);
+    }
+    return this.generate(number, previous);
+  },
+
+  // Same roster plus a few enemies from the round's spawn pool, a little faster each time;
+  // every bossEvery-th round is the AI Core instead (previous is the last regular round)
+  generate(number, previous) {
+    const endless = this.endless || this.DEFAULT_ENDLESS;
+    if (endless.bossEvery > 0 && number % endless.bossEvery === 0) {
+      return {
+        ...this.BOSS_ROUND,
+        enemies: [],
+        speed: previous.speed,
+        collectibles: endless.collectibles,
+        timeLimit: 0,
+        rules: [],
+        boss: true
+      };
+    }
+    const enemies = previous.enemies.map(entry => ({ ...entry }));
+    let total = enemies.reduce((sum, entry) => sum + entry.count, 0);
+    for (let i = 0; i < endless.enemiesPerRound && total < endless.maxEnemies; i++, total++) {
+      const type = RandomSystem.pick(EnemySystem.getSpawnTypes(number));
+      const entry = enemies.find(existing => existing.type === type);
+      if (entry) {
+        entry.count++;
+      } else {
+        enemies.push({ type, count: 1 });
+      }
+    }
+    return {
+      name: '',
+      arena: null,
+      enemies,
+      speed: previous.speed + endless.speedPerRound,
+      collectibles: endless.collectibles,
+      layout: endless.layout,
+      timeLimit: endless.timeLimit,
+      rules: [],
+      boss: false
+    };
+  },
+
+  hasRule(scene, rule) {
+    return scene.roundState.definition.rules.includes(rule);
+  },
+
+  // Set up the world for run.round: arena, speed, enemy roster, GPUs, timer, rules and boss
+  start(scene) {
+    const run = scene.run;
+    // Rounds after a boss carry on from the last regular round
+    const previous = scene.roundState ? scene.roundState.base : null;
+    const definition = this.getRound(run.round, previous);
+    const base = definition.boss && previous ? previous : definition;
+    scene.roundState = { definition, base, timeLeft: definition.timeLimit, elapsed: 0 };
+    console.log(`🗺️ ROUND ${run.round}${definition.name ? ` "${definition.name}"` : ''}`);
+
+    // A level keeps its own walls for the whole run
+    if (run.level) {
+      if (!scene.arena) ArenaSystem.create(scene, 'level', run.level.walls);
+    } else if (definition.arena && (!scene.arena || scene.arena.name !== definition.arena)) {
+      ArenaSystem.create(scene, definition.arena);
+    } else if (!scene.arena) {
+      ArenaSystem.create(scene, RandomSystem.pick(Object.keys(ArenaSystem.LAYOUTS)));
+    }
+
+    // 1 is the base speed; difficulty scales both the base and the speed-up on top of it
+    const difficulty = SettingsSystem.getDifficulty(run.difficulty);
+    run.enemySpeed = GAME_CONSTANTS.ENEMY_SPEED * (difficulty.enemySpeed + (definition.speed - 1) * difficulty.roundSpeed);
+
+    // A level's own enemies open its first round; later rosters spawn at its enemy spawns
+    if (run.level && !previous && run.level.enemies.length > 0) {
+      run.level.enemies.forEach(spawn => {
+        const point = LevelSystem.getPoint([spawn.col, spawn.row]);
+        const enemy = GameFactory.createEnemy(scene, point.x, point.y, spawn.type);
+        if (enemy) scene.enemies.add(enemy);
+      });
+    } else {
+      this.fillRoster(scene, definition.enemies);
+    }
+    ProjectileSystem.cancelRespawns(scene);
+    this.spawnCollectibles(scene, definition);
+
+    if (definition.rules.includes('restoreHealth')) {
+      run.health = GAME_CONSTANTS.MAX_HEALTH;
+    }
+    if (definition.rules.includes('noPowerUps')) {
+      scene.powerUps.clear(true, true);
+    }
+    if (definition.boss) {
+      BossSystem.spawn(scene);
+    }
+  },
+
+  // Enemies that survive into the round stay where they are; types the round doesn't want
+  // (or has too many of) go, and the rest are spawned
+  fillRoster(scene, roster) {
+    const wanted = {};
+    roster.forEach(entry => { wanted[entry.type] = (wanted[entry.type] || 0) + entry.count; });
+
+    scene.enemies.getChildren().slice().forEach(enemy => {
+      if (wanted[enemy.type] > 0) {
+        wanted[enemy.type]--;
+      } else {
+        scene.enemies.remove(enemy, true, true);
+      }
+    });
+
+    roster.forEach(entry => {
+      const missing = wanted[entry.type];
+      if (missing > 0) {
+        GameFactory.spawnEnemies(scene, missing, entry.type);
+        wanted[entry.type] = 0;
+      }
+    });
+  },
+
+  spawnCollectibles(scene, definition) {
+    const level = scene.run.level;
+    const radius = GAME_CONSTANTS.COLLECTIBLE_SIZE / 2;
+    const points = level && level.collectibles.length > 0
+      ? level.collectibles.map(cell => LevelSystem.getPoint(cell))
+      : this.getLayoutPoints(definition.layout, definition.collectibles);
+
+    points.forEach(point => {
+      // Layout points that land in a wall move to a random free spot instead
+      const { x, y } = point && ArenaSystem.isAreaFree(scene, point.x, point.y, radius)
+        ? point
+        : ArenaSystem.getRandomPoint(scene, GAME_CONSTANTS.COLLECTIBLE_SIZE, radius);
+      const collectible = GameFactory.createCollectible(scene, x, y);
+      if (collectible) {
+        scene.collectibles.add(collectible);
+      }
+    });
+  },
+
+  // Fixed positions for a GPU layout; scatter leaves them all to the random spawner
+  getLayoutPoints(layout, count) {
+    const width = GAME_CONSTANTS.WIDTH;
+    const height = GAME_CONSTANTS.HEIGHT;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      switch (layout) {
+        case 'ring': {
+          const angle = (i / count) * Math.PI * 2 - Math.PI / 2;
+          points.push({ x: width / 2 + Math.cos(angle) * this.RING_RADIUS, y: height / 2 + Math.sin(angle) * this.RING_RADIUS });
+          break;
+        }
+        case 'grid': {
+          const cols = Math.ceil(Math.sqrt(count * width / height));
+          const rows = Math.ceil(count / cols);
+          points.push({
+            x: width * ((i % cols) + 1) / (cols + 1),
+            y: height * (Math.floor(i / cols) + 1) / (rows + 1)
+          });
+          break;
+        }
+        case 'border': {
+          // Evenly spaced around a rectangle inset from the edges
+          const inset = this.BORDER_INSET;
+          const innerWidth = width - inset * 2;
+          const innerHeight = height - inset * 2;
+          let distance = (i / count) * (innerWidth + innerHeight) * 2;
+          if (distance < innerWidth) {
+            points.push({ x: inset + distance, y: inset });
+            break;
+          }
+          distance -= innerWidth;
+          if (distance < innerHeight) {
+            points.push({ x: width - inset, y: inset + distance });
+            break;
+          }
+          distance -= innerHeight;
+          if (distance < innerWidth) {
+            points.push({ x: width - inset - distance, y: height - inset });
+            break;
+          }
+          points.push({ x: inset, y: height - inset - (distance - innerWidth) });
+          break;
+        }
+        default:
+          points.push(null);
+      }
+    }
+    return points;
+  },
+
+  // One simulation step of the round clock; running out of time ends the run
+  update(scene, dt) {
+    const state = scene.roundState;
+    state.elapsed += dt;
+    if (!state.definition.timeLimit) return;
+
+    state.timeLeft = Math.max(0, state.timeLeft - dt);
+    this.refreshHud(scene);
+    if (state.timeLeft === 0) {
+      console.log('⏱️ TIME UP');
+      scene.endRun();
+    }
+  },
+
+  refreshHud(scene) {
+    const state = scene.roundState;
+    scene.hud.timerText.setText(state.definition.timeLimit ? `TIME ${Math.ceil(state.timeLeft)}` : '');
+  }
+};
+
+/**
+ * Level System
+ * Hand-built levels from the editor: walls, GPU spawn points, enemy spawns by type and
+ * the player start, all in arena grid cells. Levels are saved and loaded as JSON files,
+ * and a run given a level uses them in place of random placement.
+ */
+const LevelSystem = {
+  VERSION: 1,
+  HUD_ROWS: 3, // the HUD text reaches y 96, into the third 40px row
+
+  createEmpty() {
+    const grid = ArenaSystem.buildGrid([]);
+    return {
+      version: this.VERSION,
+      walls: [],
+      collectibles: [],
+      enemies: [],
+      player: [Math.floor(grid.cols / 2), Math.floor(grid.rows / 2)]
+    };
+  },
+
+  // Every problem with a level as a readable message; an empty list means it can be played
+  validate(level) {
+    if (!level || typeof level !== 'object') {
+      return ['level file is not a JSON object'];
+    }
+    const errors = [];
+    if (level.version !== this.VERSION) {
+      errors.push(`version must be ${this.VERSION} (got ${JSON.stringify(level.version)})`);
+    }
+
+    const grid = ArenaSystem.buildGrid([]);
+    const inGrid = (col, row) => Number.isInteger(col) && Number.isInteger(row) &&
+      col >= 0 && row >= 0 && col < grid.cols && row < grid.rows;
+    const isCell = cell => Array.isArray(cell) && cell.length === 2 && inGrid(cell[0], cell[1]);
+
+    if (!Array.isArray(level.walls) || !level.walls.every(wall => Array.isArray(wall) && wall.length === 4 &&
+      inGrid(wall[0], wall[1]) && Number.isInteger(wall[2]) && Number.isInteger(wall[3]) &&
+      wall[2] > 0 && wall[3] > 0 && inGrid(wall[0] + wall[2] - 1, wall[1] + wall[3] - 1))) {
+      errors.push(`walls must be [col, row, width, height] rectangles inside the ${grid.cols}x${grid.rows} grid`);
+      return errors;
+    }
+    // The rows under the HUD are left clear, as in the editor
+    const underHUD = row => row < this.HUD_ROWS;
+    level.walls.filter(wall => underHUD(wall[1])).forEach(wall => errors.push(`wall at ${wall[0]},${wall[1]} is under the HUD`));
+    const walled = ArenaSystem.buildGrid(level.walls);
+    const open = ([col, row]) => !walled.blocked[row * walled.cols + col];
+
+    if (!isCell(level.player)) {
+      errors.push('player must be a [col, row] cell');
+    } else if (underHUD(level.player[1])) {
+      errors.push(`player start ${level.player.join(',')} is under the HUD`);
+    } else if (!open(level.player)) {
+      errors.push(`player start ${level.player.join(',')} is inside a wall`);
+    }
+    if (!Array.isArray(level.collectibles) || !level.collectibles.every(isCell)) {
+      errors.push('collectibles must be a list of [col, row] cells');
+    } else if (level.collectibles.length === 0) {
+      // Without GPU cells the rounds would fall back to random spots, which can land in walled-off pockets
+      errors.push('level needs at least one GPU');
+    } else {
+      level.collectibles.filter(cell => underHUD(cell[1])).forEach(cell => errors.push(`GPU at ${cell.join(',')} is under the HUD`));
+      level.collectibles.filter(cell => !open(cell)).forEach(cell => errors.push(`GPU at ${cell.join(',')} is inside a wall`));
+    }
+    if (!Array.isArray(level.enemies) || !level.enemies.every(enemy => enemy && isCell([enemy.col, enemy.row]))) {
+      errors.push('enemies must be a list of { type, col, row }');
+    } else {
+      level.enemies.forEach(enemy => {
+        if (!EnemySystem.TYPES[enemy.type]) {
+          errors.push(`enemy at ${enemy.col},${enemy.row} has unknown type "${enemy.type}"`);
+        } else if (!EnemySystem.isSpawnable(enemy.type)) {
+          errors.push(`enemy at ${enemy.col},${enemy.row} is a ${enemy.type}, which can't be placed`);
+        }
+        if (underHUD(enemy.row)) {
+          errors.push(`${enemy.type} at ${enemy.col},${enemy.row} is under the HUD`);
+        }
+        if (!open([enemy.col, enemy.row])) {
+          errors.push(`${enemy.type} at ${enemy.col},${enemy.row} is inside a wall`);
+        }
+      });
+    }
+
+    // A GPU the player can't reach would make the round impossible to clear
+    if (errors.length === 0) {
+      const reachable = this.getReachable(walled, level.player);
+      level.collectibles.filter(([col, row]) => !reachable[row * walled.cols + col]).forEach(cell => {
+        errors.push(`GPU at ${cell.join(',')} can't be reached from the player start`);
+      });
+    }
+    return errors;
+  },
+
+  getReachable(grid, [col, row]) {
+    const reachable = new Array(grid.cols * grid.rows).fill(false);
+    const start = row * grid.cols + col;
+    reachable[start] = true;
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      grid.links[queue[head]].forEach(next => {
+        if (!reachable[next]) {
+          reachable[next] = true;
+          queue.push(next);
+        }
+      });
+    }
+    return reachable;
+  },
+
+  getPoint([col, row]) {
+    return { x: (col + 0.5) * ArenaSystem.CELL_SIZE, y: (row + 0.5) * ArenaSystem.CELL_SIZE };
+  },
+
+  // Where a new enemy enters a level run: one of the level's enemy spawns, or anywhere free without any
+  getEnemySpawn(scene) {
+    const level = scene.run.level;
+    if (level && level.enemies.length > 0) {
+      const spawn = RandomSystem.pick(level.enemies);
+      return this.getPoint([spawn.col, spawn.row]);
+    }
+    return ArenaSystem.getRandomPoint(scene, GAME_CONSTANTS.PLAYER_SIZE, ArenaSystem.BODY_RADIUS);
+  },
+
+  exportFile(level) {
+    try {
+      const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `level-${level.walls.length}w-${level.collectibles.length}g.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      console.log('🧱 LEVEL: Exported');
+    } catch (error) {
+      console.error('Error exporting level:', error);
+    }
+  },
+
+  // Pick a level file; onLoad gets it only if it validates
+  importFile(scene, onLoad) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+
+      file.text().then(text => {
+        const level = JSON.parse(text);
+        const errors = this.validate(level);
+        if (errors.length > 0) {
+          throw new Error(errors.join('; '));
+        }
+        if (scene.sys.isActive()) {
+          onLoad(level);
+        }
+      }).catch(error => {
+        console.error('Error importing level:', error);
+        if (scene.sys.isActive()) {
+          ReplaySystem.showMessage(scene, 'INVALID LEVEL', '#ff0000');
+        }
+      });
+    });
+    input.click();
+  }
+};
+
+/**
+ * Power-Up System
+ * Occasional special pickups (shield, speed boost, GPU magnet, EMP freeze)
+ * with timed effects, spawn rules that open up as the rounds go on, and a HUD readout
+ */
+const PowerUpSystem = {
+  TYPES: {
+    shield: { label: 'SHIELD', color: '#00ffff', tint: 0x00ffff, duration: 12, minRound: 1 },
+    speed: { label: 'SPEED', color: '#ffff00', tint: 0xffff00, duration: 6, minRound: 1 },
+    magnet: { label: 'MAGNET', color: '#ff0044', tint: 0xff0044, duration: 8, minRound: 2 },
+    emp: { label: 'EMP', color: '#8080ff', tint: 0x8080ff, duration: 4, minRound: 3 }
+  },
+  SPAWN_INTERVAL: 8, // seconds between spawn rolls
+  LIFETIME: 8, // seconds an uncollected pickup stays on the field
+  SPEED_MULTIPLIER: 1.6,
+  MAGNET_RADIUS: 200,
+  MAGNET_SPEED: 360,
+
+  createState() {
+    const timers = {};
+    Object.keys(this.TYPES).forEach(type => { timers[type] = 0; });
+    return { timers, spawnTimer: 0 };
+  },
+
+  isActive(scene, type) {
+    return scene.powerUpState.timers[type] > 0;
+  },
+
+  getSpeedMultiplier(scene) {
+    return this.isActive(scene, 'speed') ? this.SPEED_MULTIPLIER : 1;
+  },
+
+  // Later rounds roll more often and unlock the magnet (round 2) and EMP (round 3)
+  getSpawnChance(round) {
+    return Math.min(0.25 + round * 0.1, 0.75);
+  },
+
+  getAvailableTypes(round) {
+    return Object.keys(this.TYPES).filter(type => round >= this.TYPES[type].minRound);
+  },
+
+  // One simulation step: count down effects, age pickups, roll spawns, pull GPUs, check pickups
+  update(scene, dt) {
+    const state = scene.powerUpState;
+
+    Object.keys(state.timers).forEach(type => {
+      if (state.timers[type] > 0) {
+        state.timers[type] = Math.max(0, state.timers[type] - dt);
+        if (state.timers[type] === 0) {
+          this.deactivate(scene, type);
+        }
+      }
+    });
+
+    scene.powerUps.getChildren().slice().forEach(powerUp => {
+      powerUp.lifetime -= dt;
+      if (powerUp.lifetime <= 0) {
+        scene.powerUps.remove(powerUp, true, true);
+      }
+    });
+
+    state.spawnTimer += dt;
+    if (state.spawnTimer >= this.SPAWN_INTERVAL) {
+      state.spawnTimer = 0;
+      if (!RoundSystem.hasRule(scene, 'noPowerUps') && scene.powerUps.getLength() === 0 && RandomSystem.floatBetween(0, 1) < this.getSpawnChance(scene.run.round)) {
+        GameFactory.spawnPowerUp(scene, RandomSystem.pick(this.getAvailableTypes(scene.run.round)));
+      }
+    }
+
+    if (this.isActive(scene, 'magnet')) {
+      scene.collectibles.getChildren().forEach(collectible => {
+        const distance = Phaser.Math.Distance.Between(collectible.x, collectible.y, scene.player.x, scene.player.y);
+        if (distance < this.MAGNET_RADIUS && distance > 0) {
+          const pull = Math.min(this.MAGNET_SPEED * dt, distance);
+          const fromX = collectible.x;
+          const fromY = collectible.y;
+          collectible.x += (scene.player.x - collectible.x) / distance * pull;
+          collectible.y += (scene.player.y - collectible.y) / distance * pull;
+          ArenaSystem.resolve(scene, collectible, fromX, fromY, ArenaSystem.PICKUP_RADIUS);
+        }
+      });
+    }
+
+    scene.powerUps.getChildren().slice().forEach(powerUp => {
+      const distance = Phaser.Math.Distance.Between(scene.player.x, scene.player.y, powerUp.x, powerUp.y);
+      if (distance < GAME_CONSTANTS.COLLECTIBLE_SIZE) {
+        const type = powerUp.powerUpType;
+        if (!scene.seeking) {
+          ArcadeEffectsSystem.powerUp(scene, powerUp.x, powerUp.y, this.TYPES[type].tint);
+        }
+        scene.powerUps.remove(powerUp, true, true);
+        this.activate(scene, type);
+      }
+    });
+
+    this.refreshHud(scene);
+  },
+
+  activate(scene, type) {
+    scene.powerUpState.timers[type] = this.TYPES[type].duration;
+    console.log(`⚡ POWER-UP: ${type} for ${this.TYPES[type].duration}s`);
+
+    if (!scene.seeking) {
+      switch (type) {
+        case 'shield': AudioSystem.playShieldSound(); break;
+        case 'speed': AudioSystem.playSpeedBoostSound(); break;
+        case 'magnet': AudioSystem.playMagnetSound(); break;
+        case 'emp': AudioSystem.playEmpSound(); break;
+      }
+    }
+
+    if (type === 'shield') {
+      scene.player.setTint(this.TYPES.shield.tint);
+    } else if (type === 'emp') {
+      EnemySystem.stunAll(scene);
+    }
+  },
+
+  deactivate(scene, type) {
+    if (type === 'shield') {
+      scene.player.clearTint();
+    } else if (type === 'emp') {
+      scene.enemies.getChildren().forEach(enemy => enemy.clearTint());
+    }
+  },
+
+  // The shield takes the whole hit and then breaks
+  absorbHit(scene) {
+    if (!this.isActive(scene, 'shield')) return false;
+    scene.powerUpState.timers.shield = 0;
+    this.deactivate(scene, 'shield');
+    if (!scene.seeking) {
+      AudioSystem.playShieldBreakSound();
+    }
+    return true;
+  },
+
+  refreshHud(scene) {
+    const timers = scene.powerUpState.timers;
+    const parts = Object.keys(timers)
+      .filter(type => timers[type] > 0)
+      .map(type => `${this.TYPES[type].label} ${Math.ceil(timers[type])}`);
+    scene.hud.powerUpText.setText(parts.join('  '));
+  }
+};
+
+/**
+ * Score System
+ * Every point goes through add(), which also pays out extra lives at score thresholds.
+ * GPUs picked up within COMBO_WINDOW of each other build a chain that raises their
+ * multiplier until the player is hit, and clearing a round pays a time bonus and a
+ * health bonus, counted up on the tally screen before the next round starts.
+ */
+const ScoreSystem = {
+  COMBO_WINDOW: 2, // seconds after a pickup for the next one to extend the chain
+  COMBO_STEP: 3, // pickups in the chain per multiplier step
+  MAX_MULTIPLIER: 5,
+  PAR_TIME: 60, // seconds; rounds with a time limit use that instead
+  TIME_BONUS: 5, // points per second left under par
+  HEALTH_BONUS: 2, // points per point of health left
+  EXTRA_LIFE_FIRST: 2000,
+  EXTRA_LIFE_EVERY: 5000, // points between extra lives after the first
+  TALLY_COUNT_TIME: 600, // ms to count up each line of the tally
+  TALLY_HOLD_TIME: 2000, // ms the finished tally stays up before play resumes
+
+  createState() {
+    return { chain: 0, timer: 0 };
+  },
+
+  getMultiplier(scene) {
+    return Math.min(1 + Math.floor(scene.scoreState.chain / this.COMBO_STEP), this.MAX_MULTIPLIER);
+  },
+
+  add(scene, points) {
+    const run = scene.run;
+    run.score += points;
+    scene.hud.scoreText.setText(`Score: ${run.score}`);
+    AchievementSystem.record(scene, 'score');
+
+    while (run.score >= run.nextExtraLife) {
+      run.lives++;
+      run.nextExtraLife += this.EXTRA_LIFE_EVERY;
+      console.log(`❤️ SCORE: Extra life at ${run.score} (${run.lives} spare)`);
+      this.refreshHud(scene);
+      if (!scene.seeking) this.showExtraLife(scene);
+    }
+  },
+
+  // One GPU picked up: extend (or start) the chain and pay out at its multiplier
+  collect(scene) {
+    const state = scene.scoreState;
+    state.chain = state.timer > 0 ? state.chain + 1 : 1;
+    state.timer = this.COMBO_WINDOW;
+    const points = GAME_CONSTANTS.SCORE_PER_COLLECTIBLE * this.getMultiplier(scene) *
+      (RoundSystem.hasRule(scene, 'doubleScore') ? 2 : 1);
+    this.add(scene, points);
+    this.refreshHud(scene);
+  },
+
+  // Any hit, shielded or not, drops the chain
+  breakChain(scene) {
+    const state = scene.scoreState;
+    if (state.chain === 0) return;
+    state.chain = 0;
+    state.timer = 0;
+    this.refreshHud(scene);
+  },
+
+  update(scene, dt) {
+    const state = scene.scoreState;
+    if (state.timer <= 0) return;
+    state.timer = Math.max(0, state.timer - dt);
+    if (state.timer === 0) {
+      state.chain = 0;
+      this.refreshHud(scene);
+    }
+  },
+
+  // Bonuses for the round just cleared, added straight away; the tally screen only replays them
+  awardRoundBonuses(scene) {
+    const run = scene.run;
+    const roundState = scene.roundState;
+    const par = roundState.definition.timeLimit || this.PAR_TIME;
+    const secondsLeft = Math.max(0, Math.ceil(par - roundState.elapsed));
+    const bonuses = [
+      { label: 'TIME BONUS', detail: `${secondsLeft}s`, points: secondsLeft * this.TIME_BONUS },
+      { label: 'HEALTH BONUS', detail: `${run.health}`, points: run.health * this.HEALTH_BONUS }
+    ];
+    const total = bonuses.reduce((sum, bonus) => sum + bonus.points, 0);
+    console.log(`🏁 SCORE: Round ${run.round} bonus +${total}`);
+    this.add(scene, total);
+    return { round: run.round, bonuses, total };
+  },
+
+  showExtraLife(scene) {
+    AudioSystem.playExtraLifeSound();
+    const text = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 - 60, 'EXTRA LIFE', {
+      fontSize: '20px',
+      fill: '#ff00ff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    text.setShadow(2, 2, '#000000', 4);
+    scene.tweens.add({
+      targets: text,
+      y: text.y - 40,
+      alpha: 0,
+      delay: 800,
+      duration: 1000,
+      onComplete: () => text.destroy()
+    });
+  },
+
+  refreshHud(scene) {
+    const state = scene.scoreState;
+    scene.hud.livesText.setText(`LIVES ${scene.run.lives}`);
+    scene.hud.comboText.setText(state.chain > 1 ? `CHAIN ${state.chain} x${this.getMultiplier(scene)}` : '');
+  }
+};
+
+/**
+ * Achievement System
+ * Achievements are declared as data: each one watches a stat until it reaches a goal.
+ * 'total' stats add up across runs and 'best' stats keep the highest value reached in a
+ * single run. Gameplay reports events through record(); live runs only, so the demo and
+ * replays never count. Progress and unlocks persist in localStorage, and each unlock
+ * shows a toast in the game (one at a time) with a jingle.
+ */
+const AchievementSystem = {
+  STORAGE_KEY: 'retroArcade.achievements',
+  STORAGE_VERSION: 1,
+  CHASER_CROWD: 3, // chasers on screen for the survival stat to run
+  TOAST_TIME: 2500, // ms each toast stays fully up
+
+  DEFINITIONS: [
+    { id: 'firstClear', title: 'HELLO WORLD', description: 'CLEAR ROUND 1', stat: 'round', scope: 'best', goal: 1 },
+    { id: 'flawless', title: 'ZERO DEFECTS', description: 'CLEAR ROUND 5 WITHOUT TAKING DAMAGE', stat: 'flawlessRound', scope: 'best', goal: 5 },
+    { id: 'hoarder', title: 'GPU HOARDER', description: 'COLLECT 1000 GPUS IN TOTAL', stat: 'gpus', scope: 'total', goal: 1000 },
+    { id: 'catAndMouse', title: 'CAT AND MOUSE', description: 'SURVIVE 60S WITH 3 CHASERS ON SCREEN', stat: 'chaserTime', scope: 'best', goal: 60 },
+    { id: 'chainReaction', title: 'CHAIN REACTION', description: 'BUILD A CHAIN OF 15 GPUS', stat: 'chain', scope: 'best', goal: 15 },
+    { id: 'firewall', title: 'FIREWALL', description: 'SHOOT DOWN 500 ENEMIES IN TOTAL', stat: 'enemies', scope: 'total', goal: 500 },
+    { id: 'coreBreaker', title: 'CORE BREAKER', description: 'DESTROY AN AI CORE', stat: 'bosses', scope: 'total', goal: 1 },
+    { id: 'overclocked', title: 'OVERCLOCKED', description: 'SCORE 10000 POINTS IN ONE RUN', stat: 'score', scope: 'best', goal: 10000 }
+  ],
+
+  data: null,
+
+  getData() {
+    if (!this.data) {
+      this.data = this.load();
+    }
+    return this.data;
+  },
+
+  load() {
+    try {
+      const raw = window.localStorage.getItem(this.STORAGE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      if (!data || data.version !== this.STORAGE_VERSION) {
+        return this.sanitize({});
+      }
+      return this.sanitize(data);
+    } catch (error) {
+      console.warn('❌ ACHIEVEMENTS: Failed to load progress, starting fresh:', error);
+      return this.sanitize({});
+    }
+  },
+
+  save() {
+    try {
+      window.localStorage.setItem(this.STORAGE_KEY, JSON.stringify(Object.assign({ version: this.STORAGE_VERSION }, this.getData())));
+    } catch (error) {
+      console.warn('❌ ACHIEVEMENTS: Failed to save progress:', error);
+    }
+  },
+
+  // Keep only non-negative stat values and unlocks of achievements that still exist
+  sanitize(data) {
+    const clean = { totals: {}, best: {}, unlocked: {} };
+    ['totals', 'best'].forEach(scope => {
+      const values = data[scope] && typeof data[scope] === 'object' ? data[scope] : {};
+      Object.keys(values).forEach(stat => {
+        const value = Number(values[stat]);
+        if (Number.isFinite(value) && value > 0) clean[scope][stat] = value;
+      });
+    });
+    const unlocked = data.unlocked && typeof data.unlocked === 'object' ? data.unlocked : {};
+    this.DEFINITIONS.forEach(definition => {
+      if (unlocked[definition.id]) clean.unlocked[definition.id] = unlocked[definition.id];
+    });
+    return clean;
+  },
+
+  createState() {
+    return { damaged: false, chaserTime: 0, queue: [], toast: null };
+  },
+
+  isTracking(scene) {
+    return !scene.run.demo && !scene.run.playback;
+  },
+
+  isUnlocked(definition) {
+    return Boolean(this.getData().unlocked[definition.id]);
+  },
+
+  getProgress(definition) {
+    const data = this.getData();
+    const values = definition.scope === 'total' ? data.totals : data.best;
+    return Math.min(values[definition.stat] || 0, definition.goal);
+  },
+
+  // Gameplay events, reported by GameScene and the systems that score
+  record(scene, event) {
+    if (!this.isTracking(scene)) return;
+    const run = scene.run;
+    const state = scene.achievementState;
+    switch (event) {
+      case 'collect':
+        this.count(scene, 'gpus');
+        this.reach(scene, 'chain', scene.scoreState.chain);
+        break;
+      case 'damage':
+        state.damaged = true;
+        break;
+      case 'enemyDestroyed':
+        this.count(scene, 'enemies');
+        break;
+      case 'bossDefeated':
+        this.count(scene, 'bosses');
+        break;
+      case 'score':
+        this.reach(scene, 'score', run.score);
+        break;
+      case 'roundClear':
+        this.reach(scene, 'round', run.round);
+        if (!state.damaged) this.reach(scene, 'flawlessRound', run.round);
+        this.save();
+        break;
+    }
+  },
+
+  count(scene, stat, amount = 1) {
+    const totals = this.getData().totals;
+    totals[stat] = (totals[stat] || 0) + amount;
+    this.check(scene, stat);
+  },
+
+  reach(scene, stat, value) {
+    const best = this.getData().best;
+    if (value <= (best[stat] || 0)) return;
+    best[stat] = value;
+    this.check(scene, stat);
+  },
+
+  check(scene, stat) {
+    this.DEFINITIONS
+      .filter(definition => definition.stat === stat && !this.isUnlocked(definition))
+      .filter(definition => this.getProgress(definition) >= definition.goal)
+      .forEach(definition => this.unlock(scene, definition));
+  },
+
+  unlock(scene, definition) {
+    this.getData().unlocked[definition.id] = Date.now();
+    this.save();
+    console.log(`🏅 ACHIEVEMENTS: Unlocked ${definition.title}`);
+    scene.achievementState.queue.push(definition);
+  },
+
+  // One simulation step: the chaser survival clock and the toast queue
+  update(scene, dt) {
+    if (!this.isTracking(scene)) return;
+    const state = scene.achievementState;
+    const chasers = scene.enemies.getChildren().filter(enemy => enemy.type === 'chaser').length;
+    state.chaserTime = chasers >= this.CHASER_CROWD ? state.chaserTime + dt : 0;
+    this.reach(scene, 'chaserTime', Math.floor(state.chaserTime));
+
+    if (!state.toast && state.queue.length > 0) {
+      this.showToast(scene, state.queue.shift());
+    }
+  },
+
+  showToast(scene, definition) {
+    const state = scene.achievementState;
+    AudioSystem.playAchievementSound();
+
+    const box = scene.add.rectangle(0, 0, 420, 56, 0x000000, 0.85).setStrokeStyle(2, 0xffd700);
+    const heading = scene.add.text(0, -12, 'ACHIEVEMENT UNLOCKED', {
+      fontSize: '10px',
+      fill: '#ffd700',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    const title = scene.add.text(0, 10, definition.title, {
+      fontSize: '14px',
+      fill: '#ffffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    title.setShadow(2, 2, '#000000', 4);
+    state.toast = scene.add.container(GAME_CONSTANTS.WIDTH / 2, 100, [box, heading, title]).setDepth(ArcadeEffectsSystem.DEPTH);
+
+    // Slide in, hold, then slide back out and let the next one through
+    scene.tweens.add({
+      targets: state.toast,
+      y: { from: 60, to: 100 },
+      alpha: { from: 0, to: 1 },
+      duration: 300,
+      ease: 'Power2',
+      yoyo: true,
+      hold: this.TOAST_TIME,
+      onComplete: () => {
+        state.toast.destroy();
+        state.toast = null;
+      }
+    });
+  }
+};
+
+/**
+ * Ability System
+ * Abilities on the action button: a tap dashes in the direction the player is facing and
+ * holding the button fires an EMP pulse. Each has its own cooldown, shown in the HUD.
+ * How long the pulse stuns an enemy depends on its type (EnemySystem stunScale).
+ */
+const AbilitySystem = {
+  TYPES: {
+    dash: { label: 'DASH', cooldown: 2 },
+    pulse: { label: 'PULSE', cooldown: 8 }
+  },
+  HOLD_TIME: 0.3, // seconds the button is held before it fires the pulse instead of a dash
+  DASH_SPEED: 900, // pixels per second, on top of normal movement
+  DASH_TIME: 0.15, // seconds of dash, invulnerable throughout
+  PULSE_RADIUS: 160,
+  PULSE_STUN: 2, // seconds, before the enemy type's stunScale
+  PULSE_BOSS_DAMAGE: 20, // to the AI Core's weak point when it is open and in range
+  PULSE_COLOR: 0x8080ff,
+  DASH_COLOR: 0x00ff00,
+
+  createState(scene) {
+    const cooldowns = {};
+    Object.keys(this.TYPES).forEach(name => { cooldowns[name] = 0; });
+    return {
+      cooldowns,
+      holdTime: 0, // seconds the button has been down, 0 when released
+      holdSpent: false, // this press already did something (fired the pulse, or hit a cooldown)
+      dash: { x: 0, y: 0, time: 0 },
+      charge: scene.add.graphics()
+    };
+  },
+
+  isReady(scene, name) {
+    return scene.abilityState.cooldowns[name] === 0;
+  },
+
+  isDashing(scene) {
+    return scene.abilityState.dash.time > 0;
+  },
+
+  // One simulation step: cooldowns, the button (tap or hold) and the dash in progress
+  update(scene, controls, dt) {
+    const state = scene.abilityState;
+
+    Object.keys(state.cooldowns).forEach(name => {
+      if (state.cooldowns[name] > 0) {
+        state.cooldowns[name] = Math.max(0, state.cooldowns[name] - dt);
+        if (state.cooldowns[name] === 0 && !scene.seeking) {
+          AudioSystem.playAbilityReadySound();
+        }
+      }
+    });
+
+    // Released quickly it's a dash; held past HOLD_TIME it's the pulse, straight away
+    if (controls.ability && controls.ability.isDown) {
+      state.holdTime += dt;
+      if (!state.holdSpent && state.holdTime >= this.HOLD_TIME) {
+        state.holdSpent = true;
+        this.use(scene, 'pulse');
+      }
+    } else {
+      if (state.holdTime > 0 && !state.holdSpent) {
+        this.use(scene, 'dash');
+      }
+      state.holdTime = 0;
+      state.holdSpent = false;
+    }
+
+    const dash = state.dash;
+    if (dash.time > 0) {
+      scene.player.x += dash.x * dt;
+      scene.player.y += dash.y * dt;
+      dash.time = Math.max(0, dash.time - dt);
+      if (!scene.seeking) {
+        ArcadeEffectsSystem.afterimage(scene, scene.player, this.DASH_COLOR);
+      }
+    }
+
+    this.drawCharge(scene);
+    this.refreshHud(scene);
+  },
+
+  use(scene, name) {
+    if (!this.isReady(scene, name)) {
+      if (!scene.seeking) {
+        AudioSystem.playBlipSound();
+      }
+      return;
+    }
+
+    scene.abilityState.cooldowns[name] = this.TYPES[name].cooldown;
+    console.log(`🔋 ABILITY: ${name}`);
+    if (name === 'dash') {
+      this.dash(scene);
+    } else {
+      this.pulse(scene);
+    }
+  },
+
+  dash(scene) {
+    const { player } = scene;
+    const dash = scene.abilityState.dash;
+    dash.x = player.facing.x * this.DASH_SPEED;
+    dash.y = player.facing.y * this.DASH_SPEED;
+    dash.time = this.DASH_TIME;
+    if (!scene.seeking) {
+      AudioSystem.playDashSound();
+    }
+  },
+
+  // Stun every enemy in range (by type) and hit the AI Core's weak point if it's open and close enough
+  pulse(scene) {
+    const { x, y } = scene.player;
+    scene.enemies.getChildren().slice().forEach(enemy => {
+      if (Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y) <= this.PULSE_RADIUS) {
+        EnemySystem.stun(scene, enemy, this.PULSE_STUN);
+      }
+    });
+    BossSystem.hitWeakPoint(scene, x, y, this.PULSE_RADIUS, this.PULSE_BOSS_DAMAGE);
+
+    if (!scene.seeking) {
+      AudioSystem.playPulseSound();
+      ArcadeEffectsSystem.pulse(scene, x, y, this.PULSE_RADIUS, this.PULSE_COLOR);
+    }
+  },
+
+  // While the button is held for a ready pulse, a ring grows out to its range
+  drawCharge(scene) {
+    const state = scene.abilityState;
+    state.charge.clear();
+    if (state.holdTime === 0 || state.holdSpent || !this.isReady(scene, 'pulse')) return;
+
+    const progress = Math.min(1, state.holdTime / this.HOLD_TIME);
+    state.charge.lineStyle(2, this.PULSE_COLOR, 0.6);
+    state.charge.strokeCircle(scene.player.x, scene.player.y, this.PULSE_RADIUS * progress);
+  },
+
+  refreshHud(scene) {
+    const cooldowns = scene.abilityState.cooldowns;
+    const parts = Object.keys(cooldowns)
+      .map(name => `${this.TYPES[name].label} ${cooldowns[name] > 0 ? Math.ceil(cooldowns[name]) : 'OK'}`);
+    scene.hud.abilityText.setText(parts.join('  '));
+  }
+};
+
+/**
+ * Projectile System
+ * The player's shots: a fixed pool of sprites created once per run and recycled, fired in
+ * the facing direction at a limited rate. Shots take hit points off enemies; destroyed
+ * enemies pay out score, sometimes drop a GPU, and come back after RESPAWN_TIME.
+ */
+const ProjectileSystem = {
+  POOL_SIZE: 24, // every shot on screen comes from here; none are created during play
+  SPEED: 720, // pixels per second
+  FIRE_INTERVAL: 0.2, // seconds between shots while fire is held
+  LIFETIME: 1, // seconds before a shot that hit nothing is recycled
+  RADIUS: 4,
+  DAMAGE: 1,
+  GPU_DROP_CHANCE: 0.15,
+  RESPAWN_TIME: 6, // seconds before a destroyed enemy comes back
+  RESPAWN_CLEARANCE: 150, // a respawn waits until its spot is at least this far from the player
+
+  // The pool itself is a Phaser group capped at POOL_SIZE, filled up front with inactive sprites
+  createPool(scene) {
+    const pool = scene.add.group({ defaultKey: 'projectile', maxSize: this.POOL_SIZE });
+    pool.createMultiple({ key: 'projectile', quantity: this.POOL_SIZE, active: false, visible: false });
+    return pool;
+  },
+
+  createState() {
+    return { cooldown: 0, respawns: [] };
+  },
+
+  getActive(scene) {
+    return scene.projectiles.getMatching('active', true);
+  },
+
+  // One simulation step: fire, move and hit with every live shot, then bring back enemies whose time is up
+  update(scene, controls, dt) {
+    const state = scene.projectileState;
+
+    state.cooldown = Math.max(0, state.cooldown - dt);
+    if (controls.fire && controls.fire.isDown && state.cooldown === 0) {
+      this.fire(scene);
+    }
+
+    this.getActive(scene).forEach(projectile => {
+      projectile.x += projectile.velocity.x * dt;
+      projectile.y += projectile.velocity.y * dt;
+      projectile.lifetime -= dt;
+      if (projectile.lifetime <= 0 || this.isBlocked(scene, projectile)) {
+        this.recycle(scene, projectile);
+        return;
+      }
+
+      const enemy = scene.enemies.getChildren().find(target =>
+        Phaser.Math.Distance.Between(projectile.x, projectile.y, target.x, target.y) < EnemySystem.getHitRadius(target) / 2 + this.RADIUS);
+      if (enemy) {
+        this.recycle(scene, projectile);
+        this.hitEnemy(scene, enemy);
+      }
+    });
+
+    this.updateRespawns(scene, dt);
+  },
+
+  // Takes a free shot from the pool; with all of them in flight the trigger does nothing
+  fire(scene) {
+    const { player } = scene;
+    const projectile = scene.projectiles.get(player.x, player.y);
+    if (!projectile) return;
+
+    projectile.setActive(true).setVisible(true);
+    projectile.sim = null; // don't interpolate from where it was last recycled
+    projectile.velocity = { x: player.facing.x * this.SPEED, y: player.facing.y * this.SPEED };
+    projectile.lifetime = this.LIFETIME;
+    scene.projectileState.cooldown = this.FIRE_INTERVAL;
+    if (!scene.seeking) {
+      AudioSystem.playShootSound();
+    }
+  },
+
+  recycle(scene, projectile) {
+    scene.projectiles.killAndHide(projectile);
+  },
+
+  // Off screen, into a wall or into the AI Core's shell
+  isBlocked(scene, projectile) {
+    const { x, y } = projectile;
+    if (x < 0 || x > GAME_CONSTANTS.WIDTH || y < 0 || y > GAME_CONSTANTS.HEIGHT) return true;
+    if (ArenaSystem.isBlockedAt(scene, x, y)) return true;
+    const boss = scene.boss;
+    return Boolean(boss) && Phaser.Math.Distance.Between(x, y, boss.sprite.x, boss.sprite.y) < BossSystem.RADIUS;
+  },
+
+  hitEnemy(scene, enemy) {
+    enemy.health -= this.DAMAGE;
+    if (enemy.health > 0) {
+      if (!scene.seeking) {
+        ArcadeEffectsSystem.burst(scene, enemy.x, enemy.y, 0xffffff, 4);
+      }
+      return;
+    }
+    this.destroyEnemy(scene, enemy);
+  },
+
+  // Score, maybe a GPU, and a respawn for round roster types (boss minions and splitlings stay gone)
+  destroyEnemy(scene, enemy) {
+    const type = EnemySystem.getType(enemy.type);
+    ScoreSystem.add(scene, type.score);
+    AchievementSystem.record(scene, 'enemyDestroyed');
+
+    if (RandomSystem.floatBetween(0, 1) < this.GPU_DROP_CHANCE) {
+      const collectible = GameFactory.createCollectible(scene, enemy.x, enemy.y);
+      if (collectible) {
+        scene.collectibles.add(collectible);
+      }
+    }
+    if (type.minRound && !enemy.minion) {
+      scene.projectileState.respawns.push({ type: enemy.type, timer: this.RESPAWN_TIME });
+    }
+
+    if (!scene.seeking) {
+      AudioSystem.playEnemyDestroyedSound();
+      ArcadeEffectsSystem.burst(scene, enemy.x, enemy.y, 0xff8800, 14);
+    }
+    scene.enemies.remove(enemy, true, true);
+  },
+
+  updateRespawns(scene, dt) {
+    const state = scene.projectileState;
+    state.respawns = state.respawns.filter(respawn => {
+      respawn.timer -= dt;
+      if (respawn.timer > 0) return true;
+
+      const { x, y } = LevelSystem.getEnemySpawn(scene);
+      if (Phaser.Math.Distance.Between(x, y, scene.player.x, scene.player.y) < this.RESPAWN_CLEARANCE) {
+        return true; // Try another spot next step
+      }
+      const enemy = GameFactory.createEnemy(scene, x, y, respawn.type);
+      if (enemy) {
+        scene.enemies.add(enemy);
+      }
+      return false;
+    });
+  },
+
+  // A new round sets its own roster, so enemies still waiting to respawn are dropped
+  cancelRespawns(scene) {
+    scene.projectileState.respawns = [];
+  }
+};
+
+/**
+ * Boss System
+ * The AI Core that holds boss rounds. It cycles through telegraphed attacks (minion
+ * summons, sweeping beams, charges) and opens its weak point after each one; GPUs the
+ * player carries into the open weak point damage it. Below half health it enrages.
+ */
+const BossSystem = {
+  // Attacks in the order the core runs them; each is telegraphed, then leaves the core exposed
+  ATTACKS: ['summon', 'beam', 'charge'],
+  HOME: { x: GAME_CONSTANTS.WIDTH / 2, y: 150 },
+  RADIUS: 44, // body radius for contact and GPU delivery
+  HEALTH: 200, // first core; every core after it adds HEALTH_PER_CORE
+  HEALTH_PER_CORE: 100,
+  GPU_DAMAGE: 10, // per GPU delivered to the weak point
+  CONTACT_DAMAGE: 25,
+  TELEGRAPH_TIME: 1.2,
+  EXPOSED_TIME: 3,
+  SUMMON_COUNT: 2, // minions per summon, plus one for every core already destroyed
+  MAX_MINIONS: 6,
+  SUMMON_DISTANCE: 80,
+  BEAM_DAMAGE: 20,
+  BEAM_LENGTH: 1000,
+  BEAM_WIDTH: 8, // half-width of the damaging line
+  BEAM_SWEEP: Math.PI, // radians swept per beam attack
+  BEAM_TIME: 3,
+  CHARGE_SPEED: 720, // pixels per second
+  CHARGE_TIME: 1, // longest a charge lasts
+  RETURN_SPEED: 90, // drift back home while exposed
+  RAGE_HEALTH: 0.5, // share of health where the core enrages: faster phases and twin beams
+  RAGE_SPEED: 1.5,
+  SCORE: 1000, // payout per core level
+  DEFEAT_TIME: 2.5, // seconds of defeat sequence before the next round
+  BAR_WIDTH: 300,
+  BAR_HEIGHT: 10,
+
+  // The core arrives at the start of a boss round; its health grows with every core destroyed
+  spawn(scene) {
+    const level = scene.run.bossesDefeated + 1;
+    const maxHealth = this.HEALTH + (level - 1) * this.HEALTH_PER_CORE;
+    const sprite = scene.add.sprite(this.HOME.x, this.HOME.y, 'boss-core');
+    const barY = GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING - this.BAR_HEIGHT;
+
+    scene.boss = {
+      sprite,
+      level,
+      health: maxHealth,
+      maxHealth,
+      carried: 0, // GPUs picked up and not yet delivered
+      phase: 'telegraph',
+      attackIndex: 0,
+      timer: this.TELEGRAPH_TIME,
+      beamAngle: 0,
+      beamSpin: 1,
+      target: null,
+      velocity: { x: 0, y: 0 },
+      graphics: scene.add.graphics(),
+      bar: scene.add.graphics(),
+      label: scene.add.text(GAME_CONSTANTS.WIDTH / 2, barY - 6, '', {
+        fontSize: '10px',
+        fill: '#ff00ff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5, 1),
+      barY,
+      elements: []
+    };
+    scene.boss.label.setShadow(1, 1, '#000000', 2);
+    this.telegraph(scene);
+    this.refreshHud(scene);
+    console.log(`👾 BOSS: AI Core level ${level} with ${maxHealth} health`);
+  },
+
+  getAttack(boss) {
+    return this.ATTACKS[boss.attackIndex % this.ATTACKS.length];
+  },
+
+  isEnraged(boss) {
+    return boss.health <= boss.maxHealth * this.RAGE_HEALTH;
+  },
+
+  // One simulation step: run the current phase, then contact, beam and delivery checks
+  update(scene, dt) {
+    const boss = scene.boss;
+    if (!boss) return;
+
+    if (boss.phase === 'defeated') {
+      boss.timer -= dt;
+      if (boss.timer <= 0) {
+        this.finish(scene);
+      }
+      return;
+    }
+
+    const pace = this.isEnraged(boss) ? this.RAGE_SPEED : 1;
+    const sprite = boss.sprite;
+    boss.timer -= dt * pace;
+
+    switch (boss.phase) {
+      case 'telegraph':
+        // Charges aim at the player until the moment they launch
+        if (this.getAttack(boss) === 'charge') {
+          boss.target = { x: scene.player.x, y: scene.player.y };
+        }
+        if (boss.timer <= 0) {
+          this.attack(scene);
+        }
+        break;
+      case 'beam':
+        boss.beamAngle += boss.beamSpin * (this.BEAM_SWEEP / this.BEAM_TIME) * dt * pace;
+        if (boss.timer <= 0) {
+          this.expose(scene);
+        }
+        break;
+      case 'charge': {
+        sprite.x += boss.velocity.x * dt;
+        sprite.y += boss.velocity.y * dt;
+        const x = sprite.x;
+        const y = sprite.y;
+        this.clampToBounds(sprite);
+        // Stops at the edge of the screen or when the charge runs out
+        if (boss.timer <= 0 || x !== sprite.x || y !== sprite.y) {
+          this.expose(scene);
+        }
+        break;
+      }
+      case 'exposed': {
+        const distance = Phaser.Math.Distance.Between(sprite.x, sprite.y, this.HOME.x, this.HOME.y);
+        if (distance > 0) {
+          EnemySystem.moveToward(sprite, this.HOME.x, this.HOME.y, Math.min(this.RETURN_SPEED * dt, distance));
+        }
+        if (boss.timer <= 0) {
+          boss.attackIndex++;
+          this.telegraph(scene);
+        }
+        break;
+      }
+    }
+
+    this.checkPlayer(scene);
+    if (scene.boss) {
+      this.draw(scene);
+    }
+  },
+
+  telegraph(scene) {
+    const boss = scene.boss;
+    boss.phase = 'telegraph';
+    boss.timer = this.TELEGRAPH_TIME;
+    if (this.getAttack(boss) === 'beam') {
+      // Sweep across the player, alternating direction each time
+      boss.beamSpin = boss.attackIndex % 2 === 0 ? 1 : -1;
+      const toPlayer = Phaser.Math.Angle.Between(boss.sprite.x, boss.sprite.y, scene.player.x, scene.player.y);
+      boss.beamAngle = toPlayer - boss.beamSpin * this.BEAM_SWEEP / 2;
+    }
+    if (!scene.seeking) {
+      AudioSystem.playBossWarningSound();
+    }
+  },
+
+  attack(scene) {
+    const boss = scene.boss;
+    switch (this.getAttack(boss)) {
+      case 'summon':
+        this.summon(scene);
+        this.expose(scene);
+        break;
+      case 'beam':
+        boss.phase = 'beam';
+        boss.timer = this.BEAM_TIME;
+        if (!scene.seeking) {
+          ArcadeEffectsSystem.flash(scene, 0xff00ff, 150, 0.25);
+        }
+        break;
+      case 'charge': {
+        const angle = Phaser.Math.Angle.Between(boss.sprite.x, boss.sprite.y, boss.target.x, boss.target.y);
+        boss.phase = 'charge';
+        boss.timer = this.CHARGE_TIME;
+        boss.velocity.x = Math.cos(angle) * this.CHARGE_SPEED;
+        boss.velocity.y = Math.sin(angle) * this.CHARGE_SPEED;
+        if (!scene.seeking) {
+          ArcadeEffectsSystem.shake(scene, 0.01, 300);
+        }
+        break;
+      }
+    }
+  },
+
+  // Minions from the round's spawn pool, in a ring around the core (up to MAX_MINIONS on the field)
+  summon(scene) {
+    const boss = scene.boss;
+    const types = EnemySystem.getSpawnTypes(scene.run.round);
+    const count = Math.min(this.SUMMON_COUNT + boss.level - 1, this.MAX_MINIONS - scene.enemies.getLength());
+    const radius = ArenaSystem.BODY_RADIUS;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      const point = EnemySystem.clampToBounds({
+        x: boss.sprite.x + Math.cos(angle) * this.SUMMON_DISTANCE,
+        y: boss.sprite.y + Math.sin(angle) * this.SUMMON_DISTANCE
+      });
+      const { x, y } = ArenaSystem.isAreaFree(scene, point.x, point.y, radius)
+        ? point
+        : ArenaSystem.getRandomPoint(scene, GAME_CONSTANTS.ENEMY_SIZE, radius);
+      const enemy = GameFactory.createEnemy(scene, x, y, RandomSystem.pick(types));
+      if (enemy) {
+        enemy.minion = true;
+        scene.enemies.add(enemy);
+        if (!scene.seeking) {
+          ArcadeEffectsSystem.electric(scene, boss.sprite.x, boss.sprite.y, x, y, 0xff00ff, 250);
+        }
+      }
+    }
+  },
+
+  expose(scene) {
+    const boss = scene.boss;
+    boss.phase = 'exposed';
+    boss.timer = this.EXPOSED_TIME;
+  },
+
+  // Touching the core hurts unless its weak point is open; beams hurt anywhere along them
+  checkPlayer(scene) {
+    const boss = scene.boss;
+    const player = scene.player;
+    const sprite = boss.sprite;
+    const touching = Phaser.Math.Distance.Between(player.x, player.y, sprite.x, sprite.y) < this.RADIUS + GAME_CONSTANTS.PLAYER_SIZE / 2;
+
+    if (boss.phase === 'exposed') {
+      if (touching && boss.carried > 0) {
+        this.deliver(scene);
+      }
+      return;
+    }
+    if (scene.run.demo || player.invulnerableTimer > 0 || AbilitySystem.isDashing(scene)) return;
+
+    if (touching) {
+      scene.hitPlayer({ x: sprite.x, y: sprite.y, damage: this.CONTACT_DAMAGE });
+    } else if (boss.phase === 'beam') {
+      const hit = this.getBeamAngles(boss).map(angle => this.getBeamHit(scene, angle)).find(Boolean);
+      if (hit) {
+        scene.hitPlayer({ x: hit.x, y: hit.y, damage: this.BEAM_DAMAGE });
+      }
+    }
+  },
+
+  getBeamAngles(boss) {
+    return this.isEnraged(boss) ? [boss.beamAngle, boss.beamAngle + Math.PI] : [boss.beamAngle];
+  },
+
+  // The point on the beam nearest the player if it touches them (walls block beams), else null
+  getBeamHit(scene, angle) {
+    const sprite = scene.boss.sprite;
+    const player = scene.player;
+    const dx = player.x - sprite.x;
+    const dy = player.y - sprite.y;
+    const along = dx * Math.cos(angle) + dy * Math.sin(angle);
+    const across = Math.abs(dy * Math.cos(angle) - dx * Math.sin(angle));
+    if (along <= 0 || along > this.BEAM_LENGTH || across > this.BEAM_WIDTH + GAME_CONSTANTS.PLAYER_SIZE / 2) {
+      return null;
+    }
+    if (!ArenaSystem.hasLineOfSight(scene, sprite.x, sprite.y, player.x, player.y)) {
+      return null;
+    }
+    return { x: sprite.x + Math.cos(angle) * along, y: sprite.y + Math.sin(angle) * along };
+  },
+
+  // A GPU picked up during a boss round is carried to the core rather than clearing the round
+  carry(scene) {
+    scene.boss.carried++;
+    this.refreshHud(scene);
+  },
+
+  // The last GPU is gone but the core still stands: lay out a fresh set to carry
+  restock(scene) {
+    if (scene.boss.phase === 'defeated') return;
+    RoundSystem.spawnCollectibles(scene, scene.roundState.definition);
+  },
+
+  deliver(scene) {
+    const boss = scene.boss;
+    const amount = boss.carried * this.GPU_DAMAGE;
+    console.log(`👾 BOSS: ${boss.carried} GPU(s) delivered`);
+    if (!scene.seeking) {
+      ArcadeEffectsSystem.electric(scene, scene.player.x, scene.player.y, boss.sprite.x, boss.sprite.y, 0x00ff00, 200);
+    }
+    boss.carried = 0;
+    this.damage(scene, amount);
+  },
+
+  // An ability going off at (x, y) with this reach; only an open weak point takes the damage
+  hitWeakPoint(scene, x, y, reach, amount) {
+    const boss = scene.boss;
+    if (!boss || boss.phase !== 'exposed') return false;
+    if (Phaser.Math.Distance.Between(x, y, boss.sprite.x, boss.sprite.y) > reach + this.RADIUS) return false;
+    this.damage(scene, amount);
+    return true;
+  },
+
+  // Damage to the weak point, from GPU deliveries and abilities
+  damage(scene, amount) {
+    const boss = scene.boss;
+    if (!boss || boss.phase === 'defeated') return;
+
+    const wasEnraged = this.isEnraged(boss);
+    boss.health = Math.max(0, boss.health - amount);
+    if (!scene.seeking) {
+      AudioSystem.playBossHitSound();
+      ArcadeEffectsSystem.burst(scene, boss.sprite.x, boss.sprite.y, 0xff00ff, 16);
+      if (!wasEnraged && this.isEnraged(boss)) {
+        ArcadeEffectsSystem.glitch(scene, 400);
+      }
+    }
+    this.refreshHud(scene);
+
+    if (boss.health === 0) {
+      this.defeat(scene);
+    }
+  },
+
+  // Minions and GPUs go, the core blows up and pays out, and the next round starts after DEFEAT_TIME
+  defeat(scene) {
+    const run = scene.run;
+    const boss = scene.boss;
+    const payout = this.SCORE * boss.level;
+    boss.phase = 'defeated';
+    boss.timer = this.DEFEAT_TIME;
+    boss.graphics.clear();
+    run.bossesDefeated++;
+    ScoreSystem.add(scene, payout);
+    AchievementSystem.record(scene, 'bossDefeated');
+    scene.enemies.clear(true, true);
+    scene.collectibles.clear(true, true);
+    console.log(`👾 BOSS: AI Core destroyed, +${payout}`);
+
+    if (scene.seeking) return;
+
+    MusicSystem.stop();
+    MusicSystem.playStinger('bossDefeat');
+    AudioSystem.playBossExplodeSound();
+    const { x, y } = boss.sprite;
+    ArcadeEffectsSystem.shake(scene, 0.03, 800);
+    ArcadeEffectsSystem.flash(scene, 0xffffff, 500, 0.7, true);
+    for (let i = 0; i < 5; i++) {
+      scene.time.delayedCall(i * 250, () => {
+        ArcadeEffectsSystem.burst(scene, x + Phaser.Math.Between(-40, 40), y + Phaser.Math.Between(-40, 40), i % 2 ? 0xffff00 : 0xff00ff, 20);
+      });
+    }
+    scene.tweens.add({
+      targets: boss.sprite,
+      alpha: 0,
+      scale: 1.6,
+      duration: 1200,
+      ease: 'Power2'
+    });
+
+    const title = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 - 20, 'AI CORE DESTROYED', {
+      fontSize: '24px',
+      fill: '#00ff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    title.setShadow(2, 2, '#000000', 4);
+    const bonus = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 20, `+${payout}`, {
+      fontSize: '18px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    bonus.setShadow(2, 2, '#000000', 4);
+    boss.elements.push(title, bonus);
+  },
+
+  finish(scene) {
+    this.destroy(scene);
+    scene.startNextRound();
+  },
+
+  destroy(scene) {
+    const boss = scene.boss;
+    if (!boss) return;
+    [boss.sprite, boss.graphics, boss.bar, boss.label, ...boss.elements].forEach(element => element.destroy());
+    scene.boss = null;
+  },
+
+  // Game over: the core disappears with everything else
+  hide(scene) {
+    const boss = scene.boss;
+    if (!boss) return;
+    [boss.sprite, boss.graphics, boss.bar, boss.label].forEach(element => element.setVisible(false));
+  },
+
+  clampToBounds(sprite) {
+    sprite.x = Phaser.Math.Clamp(sprite.x, this.RADIUS, GAME_CONSTANTS.WIDTH - this.RADIUS);
+    sprite.y = Phaser.Math.Clamp(sprite.y, this.RADIUS, GAME_CONSTANTS.HEIGHT - this.RADIUS);
+  },
+
+  // Telegraph lines, live beams and the core's tint for the current phase
+  draw(scene) {
+    const boss = scene.boss;
+    const { sprite, graphics } = boss;
+    graphics.clear();
+
+    switch (boss.phase) {
+      case 'telegraph': {
+        const blink = Math.floor(boss.timer * 8) % 2 === 0;
+        sprite.setTint(blink ? 0xffff00 : 0xffffff);
+        if (this.getAttack(boss) === 'beam') {
+          graphics.lineStyle(2, 0xff00ff, 0.5);
+          this.getBeamAngles(boss).forEach(angle => this.strokeBeam(graphics, sprite, angle));
+        } else if (this.getAttack(boss) === 'charge') {
+          graphics.lineStyle(2, 0xff0000, 0.5);
+          graphics.lineBetween(sprite.x, sprite.y, boss.target.x, boss.target.y);
+        }
+        break;
+      }
+      case 'beam':
+        sprite.setTint(0xff00ff);
+        graphics.lineStyle(this.BEAM_WIDTH * 2, 0xff00ff, 0.8);
+        this.getBeamAngles(boss).forEach(angle => this.strokeBeam(graphics, sprite, angle));
+        graphics.lineStyle(4, 0xffffff, 1);
+        this.getBeamAngles(boss).forEach(angle => this.strokeBeam(graphics, sprite, angle));
+        break;
+      case 'charge':
+        sprite.setTint(0xff4444);
+        break;
+      case 'exposed':
+        // The open weak point pulses green
+        sprite.setTint(Math.floor(boss.timer * 4) % 2 === 0 ? 0x00ff00 : 0x88ff88);
+        graphics.lineStyle(2, 0x00ff00, 0.6);
+        graphics.strokeCircle(sprite.x, sprite.y, this.RADIUS + 6);
+        break;
+    }
+  },
+
+  strokeBeam(graphics, sprite, angle) {
+    graphics.lineBetween(sprite.x, sprite.y,
+      sprite.x + Math.cos(angle) * this.BEAM_LENGTH, sprite.y + Math.sin(angle) * this.BEAM_LENGTH);
+  },
+
+  // Health bar along the bottom of the screen, with the GPUs being carried
+  refreshHud(scene) {
+    const boss = scene.boss;
+    const x = (GAME_CONSTANTS.WIDTH - this.BAR_WIDTH) / 2;
+    boss.bar.clear();
+    boss.bar.fillStyle(0x220033, 1);
+    boss.bar.fillRect(x - 2, boss.barY - 2, this.BAR_WIDTH + 4, this.BAR_HEIGHT + 4);
+    boss.bar.fillStyle(this.isEnraged(boss) ? 0xff0044 : 0xff00ff, 1);
+    boss.bar.fillRect(x, boss.barY, this.BAR_WIDTH * boss.health / boss.maxHealth, this.BAR_HEIGHT);
+    boss.label.setText(boss.carried > 0 ? `AI CORE   CARRYING ${boss.carried} GPU` : 'AI CORE');
+  }
+};
+
+/**
+ * Simulation System
+ * Steps gameplay at a fixed rate from Phaser's frame delta, so movement and AI
+ * behave the same at any refresh rate, and interpolates sprites between steps
+ */
+const SimulationSystem = {
+  create() {
+    return { accumulator: 0, tick: 0 };
+  },
+
+  // Sprites that move during a step and need interpolating (GPUs move under the magnet, the boss charges)
+  getMovingSprites(scene) {
+    const sprites = [scene.player, ...scene.enemies.getChildren(), ...scene.collectibles.getChildren(),
+      ...ProjectileSystem.getActive(scene)];
+    return scene.boss ? sprites.concat(scene.boss.sprite) : sprites;
+  },
+
+  advance(scene, delta) {
+    const simulation = scene.simulation;
+    const step = GAME_CONSTANTS.SIMULATION_STEP;
+
+    // Clamp long frames (tab switches, breakpoints) so we don't spiral trying to catch up
+    simulation.accumulator += Math.min(delta / 1000, GAME_CONSTANTS.MAX_FRAME_TIME);
+
+    // Put sprites back where the simulation left them before stepping again
+    this.getMovingSprites(scene).forEach(sprite => {
+      if (sprite.sim) {
+        sprite.x = sprite.sim.x;
+        sprite.y = sprite.sim.y;
+      }
+    });
+
+    while (simulation.accumulator >= step) {
+      this.getMovingSprites(scene).forEach(sprite => {
+        sprite.sim = { prevX: sprite.x, prevY: sprite.y, x: sprite.x, y: sprite.y };
+      });
+      scene.simulate(step);
+      simulation.accumulator -= step;
+      simulation.tick++;
+      if (!scene.isSimulating()) {
+        simulation.accumulator = 0;
+        break;
+      }
+    }
+
+    // Render between the last two steps
+    const alpha = simulation.accumulator / step;
+    this.getMovingSprites(scene).forEach(sprite => {
+      if (!sprite.sim) {
+        sprite.sim = { prevX: sprite.x, prevY: sprite.y };
+      }
+      sprite.sim.x = sprite.x;
+      sprite.sim.y = sprite.y;
+      sprite.x = Phaser.Math.Linear(sprite.sim.prevX, sprite.sim.x, alpha);
+      sprite.y = Phaser.Math.Linear(sprite.sim.prevY, sprite.sim.y, alpha);
+    });
+  }
+};
+
+/**
+ * Replay System
+ * Records a run as its seed plus a run-length encoded input log (one bitmask per
+ * simulation step) and plays it back through the same movement code
+ */
+const ReplaySystem = {
+  VERSION: 3, // input log encoding
+  SUPPORTED_VERSIONS: [3],
+  // Bumped whenever the simulation would play the same inputs out differently (enemy hit
+  // points, drops and respawns are rules 1; round bonuses and extra lives rules 2; harmless
+  // frozen and stunned enemies rules 3); recordings from other rules would desync
+  RULES_VERSION: 3,
+  INPUT_BITS: { left: 1, right: 2, up: 4, down: 8, ability: 16, fire: 1 << 15 }, // fire sits above the stick fields
+  // The analog stick is stored per axis in 5 bits above the buttons, in eighths:
+  // 0 means no stick, 1..17 is -1..1
+  STICK_SHIFT_X: 5,
+  STICK_SHIFT_Y: 10,
+  STICK_STEPS: 8,
+  SPEEDS: [1, 2, 4], // playback speeds, stepped with up/down
+
+  createRecording(run) {
+    return {
+      version: this.VERSION,
+      rules: this.RULES_VERSION,
+      seed: run.seed,
+      difficulty: run.difficulty,
+      level: run.level,
+      step: GAME_CONSTANTS.SIMULATION_STEP,
+      recordedAt: new Date().toISOString(),
+      ticks: 0,
+      inputs: []
+    };
+  },
+
+  encode(controls) {
+    let bits = 0;
+    Object.keys(this.INPUT_BITS).forEach(name => {
+      if (controls[name] && controls[name].isDown) {
+        bits |= this.INPUT_BITS[name];
+      }
+    });
+    if (controls.stick) {
+      bits |= this.encodeAxis(controls.stick.x) << this.STICK_SHIFT_X;
+      bits |= this.encodeAxis(controls.stick.y) << this.STICK_SHIFT_Y;
+    }
+    return bits;
+  },
+
+  encodeAxis(value) {
+    return Math.round(Phaser.Math.Clamp(value, -1, 1) * this.STICK_STEPS) + this.STICK_STEPS + 1;
+  },
+
+  decode(bits) {
+    const controls = {};
+    Object.keys(this.INPUT_BITS).forEach(name => {
+      controls[name] = { isDown: (bits & this.INPUT_BITS[name]) !== 0 };
+    });
+    const stickX = (bits >> this.STICK_SHIFT_X) & 31;
+    const stickY = (bits >> this.STICK_SHIFT_Y) & 31;
+    controls.stick = stickX && stickY ? {
+      x: (stickX - this.STICK_STEPS - 1) / this.STICK_STEPS,
+      y: (stickY - this.STICK_STEPS - 1) / this.STICK_STEPS
+    } : null;
+    return controls;
+  },
+
+  record(recording, bits) {
+    const last = recording.inputs[recording.inputs.length - 1];
+    if (last && last[0] === bits) {
+      last[1]++;
+    } else {
+      recording.inputs.push([bits, 1]);
+    }
+    recording.ticks++;
+  },
+
+  createReader(replay) {
+    return { replay, index: 0, used: 0, finished: replay.inputs.length === 0 };
+  },
+
+  read(reader) {
+    const entry = reader.replay.inputs[reader.index];
+    if (!entry) {
+      return 0;
+    }
+    reader.used++;
+    if (reader.used >= entry[1]) {
+      reader.index++;
+      reader.used = 0;
+      reader.finished = reader.index >= reader.replay.inputs.length;
+    }
+    return entry[0];
+  },
+
+  // Sits between the raw controls and the movement code: live runs are recorded,
+  // playback runs ignore live input and feed back the log
+  readControls(scene, liveControls) {
+    const run = scene.run;
+    if (run.playback) {
+      return this.decode(this.read(scene.replayReader));
+    }
+
+    const bits = this.encode(liveControls);
+    if (run.recording) {
+      this.record(run.recording, bits);
+    }
+    return this.decode(bits);
+  },
+
+  // Stamp the result so seeking knows the last round and exports get a useful name
+  finishRecording(run) {
+    if (!run.recording) return null;
+    run.recording.score = run.score;
+    run.recording.round = run.round;
+    return run.recording;
+  },
+
+  validate(replay) {
+    if (!replay || !this.SUPPORTED_VERSIONS.includes(replay.version) || replay.rules !== this.RULES_VERSION) {
+      throw new Error('Unsupported replay version');
+    }
+    if (typeof replay.seed !== 'string' || !replay.seed) {
+      throw new Error('Replay has no seed');
+    }
+    if (replay.difficulty !== undefined && !SettingsSystem.DIFFICULTIES[replay.difficulty]) {
+      throw new Error('Replay has an unknown difficulty');
+    }
+    if (replay.level && LevelSystem.validate(replay.level).length > 0) {
+      throw new Error('Replay level is invalid');
+    }
+    if (!Array.isArray(replay.inputs) || !replay.inputs.every(entry =>
+      Array.isArray(entry) && Number.isInteger(entry[0]) && Number.isInteger(entry[1]) && entry[1] > 0)) {
+      throw new Error('Replay input log is malformed');
+    }
+    return replay;
+  },
+
+  play(scene, replay, options = {}) {
+    console.log(`📼 REPLAY: Playing seed ${replay.seed} (${replay.ticks} ticks)`);
+    AudioSystem.stopIntroMusic();
+    scene.scene.start('Game', {
+      run: RunState.create({ seed: replay.seed, difficulty: replay.difficulty || 'normal', level: replay.level, playback: replay }),
+      playbackState: options.playbackState,
+      seekRound: options.seekRound
+    });
+  },
+
+  exportFile(replay) {
+    try {
+      const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `replay-${replay.seed}-${replay.score || 0}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      console.log('📼 REPLAY: Exported');
+    } catch (error) {
+      console.error('Error exporting replay:', error);
+    }
+  },
+
+  importFile(scene) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+
+      file.text().then(text => {
+        const replay = this.validate(JSON.parse(text));
+        if (scene.sys.isActive()) {
+          AudioSystem.playConfirmSound();
+          this.play(scene, replay);
+        }
+      }).catch(error => {
+        console.error('Error importing replay:', error);
+        if (scene.sys.isActive()) {
+          this.showMessage(scene, 'INVALID REPLAY', '#ff0000');
+        }
+      });
+    });
+    input.click();
+  },
+
+  showMessage(scene, message, color = '#00ffff') {
+    const text = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, message, {
+      fontSize: '20px',
+      fill: color,
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setDepth(ArcadeEffectsSystem.DEPTH);
+    text.setShadow(2, 2, '#000000', 4);
+    scene.time.delayedCall(1500, () => text.destroy());
+    return text;
+  },
+
+  // Playback HUD and keys: pause, up/down speed, left/right seek by round, back exits
+  attachPlayback(scene, playbackState) {
+    scene.playbackState = playbackState || { speed: 1, paused: false };
+
+    const status = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 40, '', {
+      fontSize: '16px',
+      fill: '#ff00ff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    status.setShadow(2, 2, '#000000', 4);
+    scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING,
+      `${InputSystem.describe('pause')} PAUSE  UP/DOWN SPEED  LEFT/RIGHT ROUND  ${InputSystem.describe('back')} EXIT`, {
+        fontSize: '10px',
+        fill: '#ffffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5, 1);
+
+    const refresh = () => {
+      const state = scene.playbackState;
+      const ended = scene.run.gameOver || scene.replayReader.finished;
+      status.setText(ended ? 'END OF REPLAY' : `REPLAY ${state.paused ? 'PAUSED' : `${state.speed}X`}`);
+    };
+    scene.refreshPlaybackStatus = refresh;
+    refresh();
+
+    // Up/down step through the speeds; tapping the status cycles them for touch screens
+    const setSpeed = index => {
+      scene.playbackState.speed = this.SPEEDS[Phaser.Math.Clamp(index, 0, this.SPEEDS.length - 1)];
+      AudioSystem.playBlipSound();
+      refresh();
+    };
+    const speedIndex = () => this.SPEEDS.indexOf(scene.playbackState.speed);
+
+    InputSystem.on(scene, 'pause', () => {
+      scene.playbackState.paused = !scene.playbackState.paused;
+      AudioSystem.playBlipSound();
+      refresh();
+    });
+    InputSystem.on(scene, ['up', 'down'], action => setSpeed(speedIndex() + (action === 'up' ? 1 : -1)));
+    status.setInteractive({ useHandCursor: true });
+    status.on('pointerdown', () => setSpeed((speedIndex() + 1) % this.SPEEDS.length));
+    InputSystem.on(scene, ['left', 'right'], action => {
+      this.seekRound(scene, scene.run.round + (action === 'left' ? -1 : 1));
+    });
+  },
+
+  // The simulation is deterministic, so seeking is a restart plus a silent fast-forward
+  seekRound(scene, round) {
+    const replay = scene.run.playback;
+    const target = Math.max(1, Math.min(round, replay.round || round));
+    AudioSystem.playBlipSound();
+    this.play(scene, replay, { playbackState: scene.playbackState, seekRound: target });
+  },
+
+  fastForward(scene, round) {
+    scene.seeking = true;
+    while (scene.run.round < round && scene.isSimulating()) {
+      scene.simulate(GAME_CONSTANTS.SIMULATION_STEP);
+      scene.simulation.tick++;
+    }
+    scene.seeking = false;
+  }
+};
+
+/**
+ * Game Logic System
+ * Handles core game mechanics and sequences
+ */
+const GameLogicSystem = {
+  runLoadingScreen() {
+    const scene = this;
+    scene.introElements = [];
+
+    function nextStage() {
+      // Clear previous stage elements with fade effect
+      scene.introElements.forEach(element => {
+        if (element && element.destroy) {
+          // Add fade out animation before destroying
+          scene.tweens.add({
+            targets: element,
+            alpha: 0,
+            duration: 300,
+            ease: 'Power2',
+            onComplete: () => element.destroy()
+          });
+        }
+      });
+      scene.introElements = [];
+
+      // After loading, hand the run over to the game scene with a brief pause
+      scene.time.delayedCall(500, () => {
+        scene.scene.start('Game', { run: scene.run });
+      });
+    }
+
+    // Add dramatic transition sound before loading screen
+    AudioSystem.createBeep(300, 0.2, 'sawtooth', 0.3);
+    scene.time.delayedCall(150, () => AudioSystem.createBeep(450, 0.15, 'sawtooth', 0.25));
+    scene.time.delayedCall(350, () => AudioSystem.createBeep(600, 0.1, 'square', 0.2));
+
+    GameLogicSystem.createLoadingScreen.call(scene);
+
+    // Move to game after loading completes (extended time for enhanced sequence)
+    scene.time.delayedCall(3000, () => {
+      AudioSystem.createBeep(800, 0.1, 'square', 0.3);
+      scene.time.delayedCall(100, () => AudioSystem.createBeep(1000, 0.1, 'square', 0.3));
+      scene.time.delayedCall(200, () => AudioSystem.createBeep(1200, 0.2, 'sawtooth', 0.4));
+      nextStage();
+    });
+  },
+
+  createLoadingScreen() {
+    const scene = this;
+
+    // Main loading message with 80s style
+    const loadingText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 150, 'SYSTEM BOOTING UP', {
+      fontSize: '28px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    loadingText.setShadow(2, 2, '#000000', 4);
+    scene.introElements.push(loadingText);
+
+    // Subtitle with dramatic reveal
+    const subtitleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 190, 'PLEASE STAND BY', {
+      fontSize: '16px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setAlpha(0);
+    subtitleText.setShadow(1, 1, '#000000', 3);
+    scene.introElements.push(subtitleText);
+
+    // Reveal subtitle with animation
+    scene.tweens.add({
+      targets: subtitleText,
+      alpha: { from: 0, to: 1 },
+      duration: 800,
+      ease: 'Power2',
+      delay: 300
+    });
+
+    // Status messages that change during loading
+    const statusMessages = [
+      'INITIALIZING AI SYSTEMS...',
+      'CALIBRATING NEURAL NETWORKS...',
+      'LOADING GRAPHIC ASSETS...',
+      'ESTABLISHING SECURE CONNECTION...',
+      'DEPLOYING DEFENSE PROTOCOLS...',
+      'SYSTEM READY FOR DEPLOYMENT'
+    ];
+
+    const statusText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 230, '', {
+      fontSize: '14px',
+      fill: '#ffffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    statusText.setShadow(1, 1, '#000000', 2);
+    scene.introElements.push(statusText);
+
+    // Enhanced progress bar with 80s styling
+    const progressBg = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2, 280, 500, 40, 0x000000).setOrigin(0.5);
+    progressBg.setStrokeStyle(2, 0x00ffff);
+    const progressBar = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 250, 280, 0, 36, 0x0080ff).setOrigin(0, 0.5);
+    scene.introElements.push(progressBg, progressBar);
+
+    // Secondary progress bar for more 80s feel
+    const progressBar2 = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 250, 280, 0, 32, 0x00ffff).setOrigin(0, 0.5).setAlpha(0.7);
+    scene.introElements.push(progressBar2);
+
+    // Animated loading bars with different speeds
+    scene.tweens.add({
+      targets: progressBar,
+      width: 496,
+      duration: 2200,
+      ease: 'Power2'
+    });
+
+    scene.tweens.add({
+      targets: progressBar2,
+      width: 496,
+      duration: 1800,
+      ease: 'Power1',
+      delay: 200
+    });
+
+    // 80s-style percentage counter
+    const percentText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 320, '0%', {
+      fontSize: '20px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    percentText.setShadow(1, 1, '#000000', 3);
+    scene.introElements.push(percentText);
+
+    // Update percentage with progress (synchronized with progress bar)
+    let currentPercent = 0;
+    const percentInterval = scene.time.addEvent({
+      delay: 22, // 2200ms total / 100 steps = 22ms per step
+      repeat: 100,
+      callback: () => {
+        currentPercent++;
+        percentText.setText(currentPercent + '%');
+        // Flicker effect for extra 80s feel
+        if (Math.random() > 0.9) {
+          percentText.setFill('#ff0000');
+          setTimeout(() => percentText.setFill('#ffff00'), 50);
+        }
+      }
+    });
+
+    // Enhanced loading sequence with multiple phases
+    let messageIndex = 0;
+    let dotCount = 0;
+
+    const loadingInterval = scene.time.addEvent({
+      delay: 400,
+      repeat: 15,
+      callback: () => {
+        // Update main loading text with animation
+        dotCount = (dotCount + 1) % 4;
+        loadingText.setText('SYSTEM BOOTING UP' + '.'.repeat(dotCount));
+
+        // Color cycle the main text
+        const colors = ['#00ffff', '#0080ff', '#0000ff', '#8000ff', '#ff00ff', '#ff0080', '#ff0000', '#ff8000', '#ffff00', '#80ff00', '#00ff00', '#00ff80'];
+        loadingText.setFill(colors[Math.floor(Date.now() / 200) % colors.length]);
+
+        // Play retro sound effects
+        AudioSystem.createBeep(200 + Math.random() * 200, 0.03, 'square', 0.1);
+
+        // Update status messages every few cycles
+        if (messageIndex < statusMessages.length && loadingInterval.repeatCount % 3 === 0) {
+          statusText.setText(statusMessages[messageIndex]);
+          messageIndex++;
+
+          // Special sound for status change
+          AudioSystem.createBeep(600, 0.08, 'sawtooth', 0.15);
+        }
+      }
+    });
+
+    // Add some 80s-style "data stream" effects
+    for (let i = 0; i < 8; i++) {
+      const dataLine = scene.add.text(
+        GAME_CONSTANTS.WIDTH / 2 + (Math.random() - 0.5) * 400,
+        350 + i * 15,
+        '01010101 01110010 01100101 01100001 01100100 01111001 00100001'.substring(0, Math.floor(Math.random() * 50) + 10),
+        {
+          fontSize: '10px',
+          fill: '#00ff00',
+          fontFamily: 'Press Start 2P'
+        }
+      ).setOrigin(0.5).setAlpha(0.6);
+      scene.introElements.push(dataLine);
+
+      // Animate data lines
+      scene.tweens.add({
+        targets: dataLine,
+        alpha: { from: 0.3, to: 0.8 },
+        duration: 1000 + Math.random() * 1000,
+        repeat: -1,
+        yoyo: true,
+        delay: Math.random() * 2000
+      });
+    }
+
+    // Final dramatic sequence
+    scene.time.delayedCall(2200, () => {
+      loadingInterval.destroy();
+      percentInterval.destroy();
+
+      // Ensure percentage shows 100%
+      percentText.setText('100%');
+      percentText.setFill('#00ff00'); // Green for completion
+
+      // Final system ready message
+      statusText.setText('SYSTEM READY - ENGAGE!');
+
+      // Dramatic sound sequence
+      const finalSounds = [800, 1000, 1200, 1500];
+      finalSounds.forEach((freq, index) => {
+        setTimeout(() => {
+          AudioSystem.createBeep(freq, 0.15, 'sawtooth', 0.3);
+        }, index * 150);
+      });
+
+      // Flash effect for final reveal
+      scene.tweens.add({
+        targets: [loadingText, statusText, percentText],
+        alpha: { from: 1, to: 0.3 },
+        duration: 100,
+        repeat: 3,
+        yoyo: true,
+        onComplete: () => {
+          // Call next stage if available
+          if (this.nextStage) this.nextStage();
+        }
+      });
+    });
+  },
+
+  showTitleScreen() {
     const scene = this;
 
-    // Title screen
-    const titleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 80, 'RETRO ARCADE ADVENTURE', {
-      fontSize: '64px',
-      fill: '#ffff00',
+    // Title screen
+    const titleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 80, 'RETRO ARCADE ADVENTURE', {
+      fontSize: '64px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+
+    // AI warning message with 80s styling
+    const aiWarningText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 220, 'AI AGENTS BREAK LOOSE', {
+      fontSize: '24px',
+      fill: '#ff4444',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    aiWarningText.setShadow(2, 2, '#000000', 4);
+
+    // Subtitle with dramatic effect
+    const aiSubtitleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 260, 'GET ALL GPUS BEFORE ITS TOO LATE', {
+      fontSize: '16px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setAlpha(0);
+    aiSubtitleText.setShadow(1, 1, '#000000', 2);
+
+    // Animate subtitle reveal
+    scene.tweens.add({
+      targets: aiSubtitleText,
+      alpha: { from: 0, to: 1 },
+      duration: 1200,
+      ease: 'Power2',
+      delay: 800
+    });
+
+    // Add some warning beeps for the AI message
+    scene.time.delayedCall(400, () => AudioSystem.createBeep(400, 0.15, 'sawtooth', 0.3));
+    scene.time.delayedCall(600, () => AudioSystem.createBeep(350, 0.2, 'sawtooth', 0.25));
+    scene.time.delayedCall(900, () => AudioSystem.createBeep(300, 0.25, 'sawtooth', 0.4));
+
+    // Start button (moved down to accommodate new text)
+    const startButton = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 450, 'PRESS START', {
+      fontSize: '18px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    startButton.setInteractive();
+
+    // Add blinking effect to start button
+    scene.tweens.add({
+      targets: startButton,
+      alpha: { from: 1, to: 0.3 },
+      duration: 800,
+      repeat: -1,
+      yoyo: true
+    });
+
+    // Add instruction text for spacebar (moved down with start button)
+    const spaceInstruction = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 500, `OR PRESS ${InputSystem.describe('confirm')}`, {
+      fontSize: '12px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+
+    // Clicking the prompt inserts a coin when there are no credits, like a coin slot.
+    // The spacebar is handled by the attract loop for every attract screen.
+    startButton.on('pointerdown', () => {
+      if (gameState.credits > 0) {
+        AttractModeSystem.pressStart(scene);
+      } else {
+        AttractModeSystem.insertCoin(scene);
+      }
+    });
+
+    AttractModeSystem.registerStartPrompt(startButton, spaceInstruction);
+  }
+};
+
+/**
+ * Boot Scene
+ * Loads every asset once, then hands over to the attract loop
+ */
+class BootScene extends Phaser.Scene {
+  constructor() {
+    super('Boot');
+  }
+
+  preload() {
+    // Load sprites
+    this.load.svg('player', 'assets/player.svg');
+    this.load.svg('enemy-random', 'assets/enemy-random.svg');
+    this.load.svg('enemy-chaser', 'assets/enemy-chaser.svg');
+    this.load.svg('enemy-patrol', 'assets/enemy-patrol.svg');
+    this.load.svg('enemy-wanderer', 'assets/enemy-wanderer.svg');
+    this.load.svg('enemy-ambusher', 'assets/enemy-ambusher.svg');
+    this.load.svg('enemy-flanker', 'assets/enemy-flanker.svg');
+    this.load.svg('enemy-splitter', 'assets/enemy-splitter.svg');
+    this.load.svg('collectible', 'assets/collectible.svg');
+    this.load.svg('boss-core', 'assets/boss-core.svg');
+    this.load.svg('projectile', 'assets/projectile.svg');
+
+    // Round definitions (checked in create)
+    this.load.json('rounds', 'assets/rounds.json');
+    Object.keys(PowerUpSystem.TYPES).forEach(type => {
+      this.load.svg(`powerup-${type}`, `assets/powerup-${type}.svg`);
+    });
+
+    // Load logo for intro
+    this.load.svg('logo', 'assets/logo.svg');
+  }
+
+  create() {
+    console.log('=== BOOT COMPLETE ===');
+
+    // Saved options take effect before anything is shown
+    SettingsSystem.apply();
+    RoundSystem.load(this.cache.json.get('rounds'));
+
+    console.log('Starting attract mode...');
+    AttractModeSystem.start(this);
+  }
+}
+
+/**
+ * Intro Scene
+ * Company logo presentation, the first stage of the attract loop
+ */
+class IntroScene extends Phaser.Scene {
+  constructor() {
+    super('Intro');
+  }
+
+  create(data = {}) {
+    const attract = data.attract || { stage: 'logo', cycle: true };
+    this.introElements = [];
+    IntroSystem.createCompanyLogo(this);
+    AttractModeSystem.attach(this, 'logo', attract.cycle);
+  }
+}
+
+/**
+ * Title Scene
+ * Title screen and high score table; both are attract stages that can take a START
+ */
+class TitleScene extends Phaser.Scene {
+  constructor() {
+    super('Title');
+  }
+
+  create(data = {}) {
+    const attract = data.attract || { stage: 'title', cycle: gameState.credits === 0 };
+
+    if (attract.stage === 'scores') {
+      HighScoreSystem.showTable(this);
+    } else {
+      GameLogicSystem.showTitleScreen.call(this);
+    }
+
+    // Shared replays load from a JSON file; O opens the options and T the achievements
+    this.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING,
+      'O OPTIONS  L LOAD REPLAY  E EDITOR  M LOAD LEVEL  T ACHIEVEMENTS', {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0, 1);
+    this.input.keyboard.on('keydown-L', () => ReplaySystem.importFile(this));
+    this.input.keyboard.on('keydown-E', () => {
+      AudioSystem.playBlipSound();
+      this.scene.start('Editor');
+    });
+    // A level from the editor, played as a normal run (it takes a credit like START)
+    this.input.keyboard.on('keydown-M', () => LevelSystem.importFile(this, level => {
+      AudioSystem.playConfirmSound();
+      AttractModeSystem.pressStart(this, 'Loading', { level });
+    }));
+    this.input.keyboard.on('keydown-O', () => {
+      AudioSystem.playBlipSound();
+      this.scene.start('Options', { from: 'Title' });
+    });
+    this.input.keyboard.on('keydown-T', () => {
+      AudioSystem.playBlipSound();
+      this.scene.start('Achievements');
+    });
+
+    AttractModeSystem.attach(this, attract.stage, attract.cycle);
+  }
+}
+
+/**
+ * Loading Scene
+ * System boot sequence played between START and the first round
+ */
+class LoadingScene extends Phaser.Scene {
+  constructor() {
+    super('Loading');
+  }
+
+  create(data = {}) {
+    this.run = data.run || RunState.create();
+    console.log('Starting loading screen...');
+    GameLogicSystem.runLoadingScreen.call(this);
+  }
+}
+
+/**
+ * Game Scene
+ * Owns the player, enemies, GPUs and HUD for one run (or for the attract demo)
+ */
+class GameScene extends Phaser.Scene {
+  constructor() {
+    super('Game');
+  }
+
+  create(data = {}) {
+    this.run = data.run || RunState.create();
+    RandomSystem.start(this.run.seed);
+
+    // Create player sprite (a level sets its own start)
+    const start = this.run.level ? LevelSystem.getPoint(this.run.level.player) : { x: GAME_CONSTANTS.WIDTH / 2, y: GAME_CONSTANTS.HEIGHT / 2 };
+    this.player = this.add.sprite(start.x, start.y, 'player');
+    this.player.invulnerableTimer = 0;
+    this.player.knockback = { x: 0, y: 0, time: 0 };
+    this.player.facing = { x: 0, y: -1 }; // last movement direction, for the dash
+
+    // Movement is read through InputSystem each step (keyboard, WASD or gamepad)
+    this.simulation = SimulationSystem.create();
+    this.seeking = false;
+
+    // Enemies, GPUs, power-up pickups and the player's shots; the round definition fills the first three
+    this.enemies = this.add.group();
+    this.collectibles = this.add.group();
+    this.powerUps = this.add.group();
+    this.powerUpState = PowerUpSystem.createState();
+    this.abilityState = AbilitySystem.createState(this);
+    this.projectiles = ProjectileSystem.createPool(this);
+    this.projectileState = ProjectileSystem.createState();
+    this.scoreState = ScoreSystem.createState();
+    this.achievementState = AchievementSystem.createState();
+    this.tallying = false; // stopped on the tally screen between rounds
+
+    // Round 1 from rounds.json: arena, enemy roster and GPUs (and the AI Core on boss rounds)
+    this.roundState = null;
+    this.boss = null;
+    RoundSystem.start(this);
+
+    // Enemies read the player's heading through this
+    this.enemyState = EnemySystem.createState();
+
+    // Create HUD elements
+    GameFactory.createHUDText(this);
+    RoundSystem.refreshHud(this);
+    AbilitySystem.refreshHud(this);
+    ScoreSystem.refreshHud(this);
+
+    // Restart, quit and game over all shut the scene down, taking the soundtrack with it
+    // (and saving the run's achievement progress)
+    this.events.once('shutdown', () => {
+      if (MusicSystem.isPlaying('game') || MusicSystem.isPlaying('boss')) MusicSystem.stop();
+      if (AchievementSystem.isTracking(this)) AchievementSystem.save();
+    });
+
+    if (this.run.demo) {
+      const demoText = this.add.text(GAME_CONSTANTS.WIDTH / 2, 40, 'DEMO PLAY', {
+        fontSize: '20px',
+        fill: '#ffff00',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+      demoText.setShadow(2, 2, '#000000', 4);
+
+      const attract = data.attract || { stage: 'demo', cycle: true };
+      AttractModeSystem.attach(this, 'demo', attract.cycle);
+      return;
+    }
+
+    if (this.run.playback) {
+      this.replayReader = ReplaySystem.createReader(this.run.playback);
+      ReplaySystem.attachPlayback(this, data.playbackState);
+      if (data.seekRound > 1) {
+        ReplaySystem.fastForward(this, data.seekRound);
+        this.refreshPlaybackStatus();
+      }
+      AudioSystem.stopIntroMusic();
+      if (this.isSimulating()) this.updateSoundtrack();
+
+      // Back leaves a replay (live runs open the pause menu instead)
+      InputSystem.on(this, 'back', () => {
+        console.log('Back pressed - returning to start screen');
+        AudioSystem.playBackSound();
+        this.time.delayedCall(100, () => this.returnToStartScreen());
+      });
+      return;
+    }
+
+    this.run.recording = ReplaySystem.createRecording(this.run);
+
+    // Pause or back (P, ESC, Start, B) pauses, and so does leaving the tab or window
+    InputSystem.on(this, ['pause', 'back'], () => this.pauseRun());
+    TouchControlsSystem.attach(this);
+    const autoPause = () => this.pauseRun();
+    this.game.events.on(Phaser.Core.Events.BLUR, autoPause);
+    this.game.events.on(Phaser.Core.Events.HIDDEN, autoPause);
+    this.events.once('shutdown', () => {
+      this.game.events.off(Phaser.Core.Events.BLUR, autoPause);
+      this.game.events.off(Phaser.Core.Events.HIDDEN, autoPause);
+    });
+
+    console.log('Intro complete, starting game...');
+
+    // Stop intro music
+    AudioSystem.stopIntroMusic();
+
+    // Play final start sound, then bring in the soundtrack
+    AudioSystem.playStartSound();
+    this.updateSoundtrack();
+  }
+
+  // The round soundtrack, faster and fuller each round; boss rounds play the boss theme instead
+  updateSoundtrack() {
+    if (this.seeking || this.run.demo) return;
+    if (this.boss) {
+      if (!MusicSystem.isPlaying('boss')) MusicSystem.play('boss');
+    } else if (MusicSystem.isPlaying('game')) {
+      MusicSystem.updateGameSoundtrack(this.run.round);
+    } else {
+      MusicSystem.startGameSoundtrack(this.run.round);
+    }
+  }
+
+  returnToStartScreen() {
+    console.log('=== RETURNING TO START SCREEN ===');
+
+    // Stop intro music if playing
+    AudioSystem.stopIntroMusic();
+
+    // Editor play-tests go back to the editor
+    if (this.run.playtest) {
+      this.scene.start('Editor', { level: this.run.level, resume: true });
+      return;
+    }
+
+    // Back to the attract loop (or straight to START if credits remain)
+    AttractModeSystem.start(this);
+  }
+
+  // Freeze the run (update, tweens, timers and audio) under the pause menu
+  pauseRun() {
+    if (this.run.gameOver || !this.scene.isActive()) return;
+
+    console.log('=== PAUSED ===');
+    AudioSystem.suspend();
+    this.scene.pause();
+    this.scene.launch('Pause');
+  }
+
+  endRun() {
+    // Game over - stop the game
+    this.run.gameOver = true;
+    MusicSystem.stop();
+    if (!this.seeking) {
+      MusicSystem.playStinger('gameOver');
+      ArcadeEffectsSystem.gameOver(this, this.player.x, this.player.y);
+    }
+    this.player.setVisible(false);
+    this.enemies.setVisible(false);
+    this.collectibles.setVisible(false);
+    this.powerUps.setVisible(false);
+    this.projectiles.setVisible(false);
+    this.abilityState.charge.clear();
+    BossSystem.hide(this);
+
+    // A finished playback stays on screen so it can be seeked or exited
+    if (this.run.playback) {
+      this.refreshPlaybackStatus();
+      return;
+    }
+    ReplaySystem.finishRecording(this.run);
+
+    // Let the effects play out before the game over screen (or the editor, after a play-test) takes over
+    this.time.delayedCall(GAME_CONSTANTS.GAME_OVER_TRANSITION_DELAY, () => {
+      if (this.run.playtest) {
+        this.scene.start('Editor', { level: this.run.level, resume: true });
+      } else {
+        this.scene.start('GameOver', { run: this.run });
+      }
+    });
+  }
+
+  update(time, delta) {
+    const run = this.run;
+
+    // Stop game if game over (or the replay has run out)
+    if (!this.isSimulating()) {
+      return;
+    }
+
+    if (run.playback) {
+      if (this.playbackState.paused) return;
+      SimulationSystem.advance(this, delta * this.playbackState.speed);
+      if (this.replayReader.finished) this.refreshPlaybackStatus();
+      return;
+    }
+
+    SimulationSystem.advance(this, delta);
+  }
+
+  isSimulating() {
+    return !this.run.gameOver && !this.tallying && !(this.run.playback && this.replayReader.finished);
+  }
+
+  // One fixed simulation step of dt seconds
+  simulate(dt) {
+    const run = this.run;
+
+    // Player movement controls (the attract demo drives the same code with an autopilot);
+    // the replay system records them, or substitutes the recorded ones during playback
+    const controls = ReplaySystem.readControls(this, run.demo ? AttractModeSystem.getDemoControls(this) : InputSystem.getControls(this));
+    const playerStep = GAME_CONSTANTS.PLAYER_SPEED * PowerUpSystem.getSpeedMultiplier(this) * dt;
+    const fromX = this.player.x;
+    const fromY = this.player.y;
+    let moveX = (controls.right.isDown ? 1 : 0) - (controls.left.isDown ? 1 : 0);
+    let moveY = (controls.down.isDown ? 1 : 0) - (controls.up.isDown ? 1 : 0);
+    // Digital directions win; otherwise a tilted stick moves at a speed proportional to the tilt
+    if (!moveX && !moveY && controls.stick) {
+      moveX = controls.stick.x;
+      moveY = controls.stick.y;
+    }
+    this.player.x += moveX * playerStep;
+    this.player.y += moveY * playerStep;
+    if (moveX || moveY) {
+      const length = Math.hypot(moveX, moveY);
+      this.player.facing.x = moveX / length;
+      this.player.facing.y = moveY / length;
+    }
+
+    // Dash and pulse on the ability button (the demo leaves it to the attract loop)
+    if (!run.demo) {
+      AbilitySystem.update(this, controls, dt);
+    }
+
+    // Knockback pushes the player away from the last hit, easing out over KNOCKBACK_TIME
+    const knockback = this.player.knockback;
+    if (knockback.time > 0) {
+      const strength = knockback.time / GAME_CONSTANTS.KNOCKBACK_TIME;
+      this.player.x += knockback.x * strength * dt;
+      this.player.y += knockback.y * strength * dt;
+      knockback.time = Math.max(0, knockback.time - dt);
+    }
+
+    // Blink while invulnerable after a hit
+    if (this.player.invulnerableTimer > 0) {
+      this.player.invulnerableTimer = Math.max(0, this.player.invulnerableTimer - dt);
+      const blinkOn = Math.floor(this.player.invulnerableTimer * 10) % 2 === 0;
+      this.player.setAlpha(this.player.invulnerableTimer > 0 && !blinkOn ? 0.2 : 1);
+    }
+
+    // Walls stop the player, then keep them within bounds
+    ArenaSystem.resolve(this, this.player, fromX, fromY);
+    this.player.x = Phaser.Math.Clamp(this.player.x,
+      GAME_CONSTANTS.PLAYER_SIZE,
+      GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
+    this.player.y = Phaser.Math.Clamp(this.player.y,
+      GAME_CONSTANTS.PLAYER_SIZE,
+      GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
+
+    RoundSystem.update(this, dt);
+    if (run.gameOver) return;
+
+    PowerUpSystem.update(this, dt);
+
+    EnemySystem.update(this, dt);
+
+    BossSystem.update(this, dt);
+    if (run.gameOver) return;
+
+    // Shots fly in the facing direction (the demo doesn't shoot)
+    ProjectileSystem.update(this, run.demo ? {} : controls, dt);
+
+    ScoreSystem.update(this, dt);
+    AchievementSystem.update(this, dt);
+
+    // Collision detection with collectibles
+    this.collectibles.getChildren().slice().forEach(collectible => {
+      const distance = Phaser.Math.Distance.Between(this.player.x, this.player.y, collectible.x, collectible.y);
+      if (distance < GAME_CONSTANTS.COLLECTIBLE_SIZE) {
+        ScoreSystem.collect(this);
+        AchievementSystem.record(this, 'collect');
+
+        // Play collect sound
+        if (!this.seeking) {
+          AudioSystem.playCollectSound();
+          ArcadeEffectsSystem.collect(this, collectible.x, collectible.y);
+        }
+        this.collectibles.remove(collectible, true, true);
+        if (this.boss) {
+          BossSystem.carry(this);
+        }
+
+        // Check if all collectibles are collected (boss rounds only end when the core is destroyed)
+        if (this.collectibles.getLength() === 0) {
+          if (this.boss) {
+            BossSystem.restock(this);
+          } else {
+            this.startNextRound();
+          }
+        }
+      }
+    });
+
+    // Collision detection with enemies (the demo player can't be hurt)
+    if (run.demo) {
+      return;
+    }
+    if (this.player.invulnerableTimer > 0 || AbilitySystem.isDashing(this)) {
+      return;
+    }
+    // Frozen (EMP power-up) and stunned (pulse) enemies are harmless until they move again
+    const frozen = PowerUpSystem.isActive(this, 'emp');
+    const hitBy = !frozen && this.enemies.getChildren().find(enemy => !(enemy.stunTimer > 0) &&
+      Phaser.Math.Distance.Between(this.player.x, this.player.y, enemy.x, enemy.y) < EnemySystem.getHitRadius(enemy));
+    if (hitBy) {
+      this.hitPlayer(hitBy);
+    }
+  }
+
+  // One hit: damage once (or break the shield), knock the player away, then a short invulnerability window
+  hitPlayer(enemy) {
+    const run = this.run;
+    ScoreSystem.breakChain(this);
+    const shielded = PowerUpSystem.absorbHit(this);
+    if (!shielded) {
+      this.takeDamage(enemy);
+      if (run.gameOver) return;
+    }
+
+    // Straight up if the enemy is dead centre on the player
+    const angle = this.player.x === enemy.x && this.player.y === enemy.y
+      ? -Math.PI / 2
+      : Phaser.Math.Angle.Between(enemy.x, enemy.y, this.player.x, this.player.y);
+    this.player.knockback.x = Math.cos(angle) * GAME_CONSTANTS.KNOCKBACK_SPEED;
+    this.player.knockback.y = Math.sin(angle) * GAME_CONSTANTS.KNOCKBACK_SPEED;
+    this.player.knockback.time = GAME_CONSTANTS.KNOCKBACK_TIME;
+    this.player.invulnerableTimer = GAME_CONSTANTS.INVULNERABILITY_TIME;
+  }
+
+  takeDamage(enemy) {
+    const run = this.run;
+    const damage = Math.round(enemy.damage * SettingsSystem.getDifficulty(run.difficulty).damage);
+    run.health = Math.max(0, run.health - damage);
+    this.hud.healthText.setText(`Health: ${run.health}`);
+    AchievementSystem.record(this, 'damage');
+
+    // Play damage sound
+    if (!this.seeking) {
+      AudioSystem.playDamageSound();
+      ArcadeEffectsSystem.damage(this, this.player.x, this.player.y);
+    }
+
+    if (run.health <= 0) {
+      if (run.lives > 0) {
+        this.loseLife();
+      } else {
+        this.endRun();
+      }
+    }
+  }
+
+  // A spare life refills health on the spot; the hit's invulnerability covers the recovery
+  loseLife() {
+    const run = this.run;
+    run.lives--;
+    run.health = GAME_CONSTANTS.MAX_HEALTH;
+    this.hud.healthText.setText(`Health: ${run.health}`);
+    ScoreSystem.refreshHud(this);
+    console.log(`💔 Life lost (${run.lives} spare)`);
+
+    if (!this.seeking) {
+      ArcadeEffectsSystem.flash(this, 0xff00ff, 300, 0.6, true);
+      ArcadeEffectsSystem.glitch(this, 400);
+    }
+  }
+
+  startNextRound() {
+    const run = this.run;
+
+    // Time and health bonuses for the round just cleared
+    const tally = ScoreSystem.awardRoundBonuses(this);
+    AchievementSystem.record(this, 'roundClear');
+
+    // Start new round
+    run.round++;
+    this.hud.roundText.setText(`Round: ${run.round}`);
+
+    // The next round's definition sets the speed, roster, GPUs, timer, rules and boss
+    RoundSystem.start(this);
+    this.hud.healthText.setText(`Health: ${run.health}`);
+    RoundSystem.refreshHud(this);
+
+    // Round clear stinger over a faster, fuller soundtrack (or the boss theme)
+    if (!this.seeking) {
+      MusicSystem.playStinger('roundClear');
+    }
+    this.updateSoundtrack();
+
+    // Live runs stop on the tally screen; replays and the demo go straight on
+    if (this.seeking) return;
+    if (run.demo || run.playback) {
+      ArcadeEffectsSystem.newRound(this);
+    } else {
+      this.showTally(tally);
+    }
+  }
+
+  // The new round waits, paused, under the tally screen until it closes
+  showTally(tally) {
+    this.tallying = true;
+    this.scene.pause();
+    this.scene.launch('Tally', tally);
+  }
+
+  resumeFromTally() {
+    this.tallying = false;
+    this.scene.resume();
+    ArcadeEffectsSystem.newRound(this);
+  }
+}
+
+/**
+ * Tally Scene
+ * Between-rounds overlay that counts up the round's bonuses, then hands back to GameScene.
+ * The points are already in the score; confirm skips the count and then closes.
+ */
+class TallyScene extends Phaser.Scene {
+  constructor() {
+    super('Tally');
+  }
+
+  create(data) {
+    this.closed = false;
+    this.counted = false;
+    this.counters = [];
+
+    this.add.rectangle(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
+      GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, 0x000000, 0.8);
+
+    const title = this.add.text(GAME_CONSTANTS.WIDTH / 2, 170, `ROUND ${data.round} CLEAR`, {
+      fontSize: '28px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    title.setShadow(2, 2, '#000000', 4);
+
+    const rows = data.bonuses.map(bonus => ({ label: `${bonus.label} ${bonus.detail}`, points: bonus.points, color: '#ffffff' }));
+    rows.push({ label: 'TOTAL', points: data.total, color: '#ffff00' });
+    rows.forEach((row, index) => {
+      const y = 260 + index * 50;
+      this.add.text(160, y, row.label, {
+        fontSize: '16px',
+        fill: row.color,
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0, 0.5);
+      const value = this.add.text(640, y, '0', {
+        fontSize: '16px',
+        fill: row.color,
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(1, 0.5);
+      this.counters.push({ text: value, points: row.points });
+    });
+
+    this.prompt = this.add.text(GAME_CONSTANTS.WIDTH / 2, 480, `PRESS ${InputSystem.describe('confirm')}`, {
+      fontSize: '12px',
+      fill: '#00ff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setVisible(false);
+
+    // Count each line up in turn, ticking as it goes
+    this.counters.forEach((counter, index) => {
+      counter.tween = this.tweens.addCounter({
+        from: 0,
+        to: counter.points,
+        delay: index * ScoreSystem.TALLY_COUNT_TIME,
+        duration: ScoreSystem.TALLY_COUNT_TIME,
+        onUpdate: tween => {
+          const shown = `${Math.round(tween.getValue())}`;
+          if (shown !== counter.text.text) {
+            counter.text.setText(shown);
+            AudioSystem.playTallyTickSound();
+          }
+        }
+      });
+    });
+    this.countTimer = this.time.delayedCall(this.counters.length * ScoreSystem.TALLY_COUNT_TIME, () => this.finishCount());
+
+    InputSystem.on(this, 'confirm', () => (this.counted ? this.close() : this.finishCount()));
+  }
+
+  finishCount() {
+    if (this.counted) return;
+    this.counted = true;
+    this.countTimer.remove();
+    this.counters.forEach(counter => {
+      counter.tween.stop();
+      counter.text.setText(`${counter.points}`);
+    });
+    this.prompt.setVisible(true);
+    AudioSystem.playConfirmSound();
+    this.time.delayedCall(ScoreSystem.TALLY_HOLD_TIME, () => this.close());
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    const gameScene = this.scene.get('Game');
+    this.scene.stop();
+    gameScene.resumeFromTally();
+  }
+}
+
+/**
+ * Pause Scene
+ * Overlay menu launched over a paused GameScene: resume, restart, options and quit
+ */
+class PauseScene extends Phaser.Scene {
+  constructor() {
+    super('Pause');
+  }
+
+  create() {
+    this.gameScene = this.scene.get('Game');
+    this.menuElements = [];
+    this.items = [];
+    this.selected = 0;
+    this.onBack = null;
+
+    this.add.rectangle(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
+      GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, 0x000000, 0.75);
+
+    InputSystem.on(this, 'up', () => this.moveSelection(-1));
+    InputSystem.on(this, 'down', () => this.moveSelection(1));
+    InputSystem.on(this, 'confirm', () => this.activate(this.selected));
+    InputSystem.on(this, ['back', 'pause'], () => this.onBack && this.onBack());
+
+    this.showMainMenu();
+  }
+
+  showMainMenu() {
+    this.showMenu('PAUSED', '', [
+      { label: 'RESUME', action: () => this.resumeRun() },
+      { label: 'RESTART RUN', action: () => this.restartRun() },
+      { label: 'OPTIONS', action: () => this.showOptions() },
+      { label: 'QUIT TO TITLE', action: () => this.showQuitConfirm() }
+    ], () => this.resumeRun());
+  }
+
+  // Options opens on top; this menu waits underneath until it closes
+  showOptions() {
+    this.scene.pause();
+    this.scene.launch('Options', { from: 'Pause' });
+  }
+
+  showQuitConfirm() {
+    this.showMenu('QUIT TO TITLE?', 'THIS RUN WILL BE LOST', [
+      { label: 'NO', action: () => this.showMainMenu() },
+      { label: 'YES', action: () => this.quitToTitle() }
+    ], () => this.showMainMenu());
+  }
+
+  showMenu(title, subtitle, items, onBack) {
+    this.menuElements.forEach(element => element.destroy());
+    this.menuElements = [];
+    this.items = [];
+    this.selected = 0;
+    this.onBack = onBack;
+
+    const titleText = this.add.text(GAME_CONSTANTS.WIDTH / 2, 170, title, {
+      fontSize: '28px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    titleText.setShadow(2, 2, '#000000', 4);
+    this.menuElements.push(titleText);
+
+    if (subtitle) {
+      this.menuElements.push(this.add.text(GAME_CONSTANTS.WIDTH / 2, 215, subtitle, {
+        fontSize: '12px',
+        fill: '#ff0000',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5));
+    }
+
+    items.forEach((item, index) => {
+      const text = this.add.text(GAME_CONSTANTS.WIDTH / 2, 270 + index * 45, item.label, {
+        fontSize: '18px',
+        fill: '#ffffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+      text.setInteractive({ useHandCursor: true });
+      text.on('pointerover', () => this.select(index));
+      text.on('pointerdown', () => this.activate(index));
+      text.action = item.action;
+      text.label = item.label;
+      this.items.push(text);
+      this.menuElements.push(text);
+    });
+
+    this.menuElements.push(this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 60,
+      `UP/DOWN SELECT  ${InputSystem.describe('confirm')} CONFIRM  ${InputSystem.describe('back')} BACK`, {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5));
+
+    this.select(0);
+  }
+
+  select(index) {
+    this.selected = index;
+    this.items.forEach((text, i) => {
+      const active = i === index;
+      text.setText(active ? `> ${text.label} <` : text.label);
+      text.setFill(active ? '#ffff00' : '#ffffff');
+    });
+  }
+
+  moveSelection(direction) {
+    this.select(Phaser.Math.Wrap(this.selected + direction, 0, this.items.length));
+  }
+
+  activate(index) {
+    const item = this.items[index];
+    if (item) {
+      item.action();
+    }
+  }
+
+  resumeRun() {
+    console.log('=== RESUMED ===');
+    AudioSystem.resume();
+    this.scene.resume('Game');
+    this.scene.stop();
+  }
+
+  restartRun() {
+    console.log('=== RESTARTING RUN ===');
+    AudioSystem.resume();
+    this.scene.stop('Game');
+    // The same level (and play-test) again, with a fresh seed
+    const run = this.gameScene.run;
+    this.scene.start('Game', { run: RunState.create({ level: run.level, playtest: run.playtest }) });
+  }
+
+  quitToTitle() {
+    AudioSystem.resume();
+    AudioSystem.playBackSound();
+    this.gameScene.returnToStartScreen();
+    this.scene.stop();
+  }
+}
+
+/**
+ * Options Scene
+ * Settings menu reached from the title screen and the pause menu
+ */
+class OptionsScene extends Phaser.Scene {
+  constructor() {
+    super('Options');
+  }
+
+  create(data = {}) {
+    this.from = data.from || 'Title';
+    this.rows = [];
+    this.selected = 0;
+
+    this.add.rectangle(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
+      GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, 0x000000, 0.9);
+
+    const title = this.add.text(GAME_CONSTANTS.WIDTH / 2, 80, 'OPTIONS', {
+      fontSize: '28px',
+      fill: '#00ffff',
       fontFamily: 'Press Start 2P'
     }).setOrigin(0.5);
+    title.setShadow(2, 2, '#000000', 4);
+
+    const percent = bus => (SettingsSystem.get(`${bus}Muted`) ? 'MUTED' : `${Math.round(SettingsSystem.get(`${bus}Volume`) * 100)}%`);
+    const toggleMute = bus => () => AudioSystem.toggleMute(bus);
+    const onOff = key => (SettingsSystem.get(key) ? 'ON' : 'OFF');
+    const difficulties = Object.keys(SettingsSystem.DIFFICULTIES);
+
+    [
+      { label: 'MASTER VOLUME', value: () => percent('master'), change: dir => this.stepVolume('masterVolume', dir), confirm: toggleMute('master') },
+      { label: 'MUSIC VOLUME', value: () => percent('music'), change: dir => this.stepVolume('musicVolume', dir), confirm: toggleMute('music') },
+      { label: 'SFX VOLUME', value: () => percent('sfx'), change: dir => this.stepVolume('sfxVolume', dir), confirm: toggleMute('sfx') },
+      {
+        label: 'DIFFICULTY',
+        value: () => SettingsSystem.getDifficulty(SettingsSystem.get('difficulty')).label,
+        change: dir => {
+          const index = difficulties.indexOf(SettingsSystem.get('difficulty'));
+          SettingsSystem.set('difficulty', difficulties[Phaser.Math.Wrap(index + dir, 0, difficulties.length)]);
+        }
+      },
+      { label: 'CRT OVERLAY', value: () => onOff('crtOverlay'), change: () => SettingsSystem.set('crtOverlay', !SettingsSystem.get('crtOverlay')) },
+      { label: 'REDUCED EFFECTS', value: () => onOff('reducedEffects'), change: () => SettingsSystem.set('reducedEffects', !SettingsSystem.get('reducedEffects')) },
+      { label: 'CONTROLS', action: () => this.scene.start('Controls', { from: this.from }) },
+      { label: 'RESET DEFAULTS', action: () => SettingsSystem.reset() },
+      { label: 'BACK', action: () => this.close() }
+    ].forEach((row, index) => this.addRow(row, index));
+
+    this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 60,
+      `UP/DOWN SELECT  LEFT/RIGHT CHANGE  ${InputSystem.describe('confirm')} MUTE  ${InputSystem.describe('back')} BACK`, {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+    this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 40,
+      'DIFFICULTY APPLIES FROM THE NEXT RUN', {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+
+    InputSystem.on(this, 'up', () => this.select(Phaser.Math.Wrap(this.selected - 1, 0, this.rows.length)));
+    InputSystem.on(this, 'down', () => this.select(Phaser.Math.Wrap(this.selected + 1, 0, this.rows.length)));
+    InputSystem.on(this, 'left', () => this.change(this.selected, -1));
+    InputSystem.on(this, 'right', () => this.change(this.selected, 1));
+    InputSystem.on(this, 'confirm', () => this.confirm(this.selected));
+    InputSystem.on(this, 'back', () => this.close());
+
+    this.select(0);
+  }
 
-    // AI warning message with 80s styling
-    const aiWarningText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 220, 'AI AGENTS BREAK LOOSE', {
-      fontSize: '24px',
-      fill: '#ff4444',
+  addRow(row, index) {
+    const y = 150 + index * 42;
+    const label = this.add.text(140, y, row.label, {
+      fontSize: '14px',
+      fill: '#ffffff',
       fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5);
-    aiWarningText.setShadow(2, 2, '#000000', 4);
-
-    // Subtitle with dramatic effect
-    const aiSubtitleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 260, 'GET ALL GPUS BEFORE ITS TOO LATE', {
-      fontSize: '16px',
-      fill: '#00ffff',
+    }).setOrigin(0, 0.5);
+    const value = this.add.text(GAME_CONSTANTS.WIDTH - 140, y, '', {
+      fontSize: '14px',
+      fill: '#00ff00',
       fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5).setAlpha(0);
-    aiSubtitleText.setShadow(1, 1, '#000000', 2);
+    }).setOrigin(1, 0.5);
 
-    // Animate subtitle reveal
-    scene.tweens.add({
-      targets: aiSubtitleText,
-      alpha: { from: 0, to: 1 },
-      duration: 1200,
-      ease: 'Power2',
-      delay: 800
+    label.setInteractive({ useHandCursor: true });
+    label.on('pointerover', () => this.select(index));
+    label.on('pointerdown', () => this.confirm(index));
+    value.setInteractive({ useHandCursor: true });
+    value.on('pointerover', () => this.select(index));
+    value.on('pointerdown', () => this.confirm(index));
+
+    this.rows.push(Object.assign({ labelText: label, valueText: value }, row));
+  }
+
+  select(index) {
+    this.selected = index;
+    this.refresh();
+  }
+
+  // Left/right step a value; on action rows any change runs the action
+  change(index, direction) {
+    const row = this.rows[index];
+    if (!row) return;
+
+    this.selected = index;
+    if (row.action) {
+      row.action();
+    } else {
+      row.change(direction);
+    }
+    AudioSystem.playBlipSound();
+    this.refresh();
+  }
+
+  // Enter/click: volume rows toggle mute, everything else steps forward
+  confirm(index) {
+    const row = this.rows[index];
+    if (row && row.confirm) {
+      this.selected = index;
+      row.confirm();
+      AudioSystem.playBlipSound();
+      this.refresh();
+    } else {
+      this.change(index, 1);
+    }
+  }
+
+  stepVolume(key, direction) {
+    const volume = Phaser.Math.Clamp(SettingsSystem.get(key) + direction * SettingsSystem.VOLUME_STEP, 0, 1);
+    SettingsSystem.set(key, Math.round(volume * 10) / 10);
+  }
+
+  refresh() {
+    if (!this.sys.isActive()) return;
+    this.rows.forEach((row, index) => {
+      const active = index === this.selected;
+      row.labelText.setText(active ? `> ${row.label}` : row.label);
+      row.labelText.setFill(active ? '#ffff00' : '#ffffff');
+      row.valueText.setText(row.value ? row.value() : '');
     });
+  }
 
-    // Add some warning beeps for the AI message
-    scene.time.delayedCall(400, () => AudioSystem.createBeep(400, 0.15, 'sawtooth', 0.3));
-    scene.time.delayedCall(600, () => AudioSystem.createBeep(350, 0.2, 'sawtooth', 0.25));
-    scene.time.delayedCall(900, () => AudioSystem.createBeep(300, 0.25, 'sawtooth', 0.4));
+  close() {
+    if (this.from === 'Pause') {
+      this.scene.resume('Pause');
+      this.scene.stop();
+    } else {
+      AttractModeSystem.showStage(this, 'title', gameState.credits === 0);
+    }
+  }
+}
 
-    // Start button (moved down to accommodate new text)
-    const startButton = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 450, 'PRESS START', {
-      fontSize: '18px',
+/**
+ * Controls Scene
+ * Rebinding screen reached from the options: a primary and alternate key plus a pad button per action
+ */
+class ControlsScene extends Phaser.Scene {
+  constructor() {
+    super('Controls');
+  }
+
+  create(data = {}) {
+    this.from = data.from || 'Title';
+    this.rows = [];
+    this.selected = 0;
+    this.column = 0;
+    this.capture = null;
+
+    this.add.rectangle(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
+      GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, 0x000000, 0.9);
+
+    const title = this.add.text(GAME_CONSTANTS.WIDTH / 2, 50, 'CONTROLS', {
+      fontSize: '28px',
       fill: '#00ffff',
       fontFamily: 'Press Start 2P'
     }).setOrigin(0.5);
-    startButton.setInteractive();
+    title.setShadow(2, 2, '#000000', 4);
+
+    ['KEY', 'ALT KEY', 'PAD'].forEach((heading, column) => {
+      this.add.text(this.getColumnX(column), 95, heading, {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+    });
 
-    // Add blinking effect to start button
-    scene.tweens.add({
-      targets: startButton,
-      alpha: { from: 1, to: 0.3 },
-      duration: 800,
-      repeat: -1,
-      yoyo: true
+    Object.keys(InputSystem.ACTIONS).forEach(action => this.addRow({ label: InputSystem.ACTIONS[action], action }));
+    this.addRow({
+      label: 'RESET DEFAULTS',
+      run: () => {
+        InputSystem.reset();
+        AudioSystem.playBlipSound();
+      }
     });
+    this.addRow({ label: 'BACK', run: () => this.close() });
 
-    // Add instruction text for spacebar (moved down with start button)
-    const spaceInstruction = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 500, 'OR PRESS SPACEBAR', {
-      fontSize: '12px',
-      fill: '#ffff00',
+    this.prompt = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 60, '', {
+      fontSize: '10px',
+      fill: '#888888',
       fontFamily: 'Press Start 2P'
     }).setOrigin(0.5);
 
-    // Function to handle start game
-    const startGame = () => {
-      console.log('👆 AUDIO: First user interaction detected - unlocking audio');
-
-      // Unlock audio context on first interaction
-      AudioSystem.unlock();
-
-      // Hide title screen elements
-      scene.children.list.forEach(child => {
-        if (child !== gameState.player &&
-            !gameState.enemies.contains(child) &&
-            !gameState.collectibles.contains(child) &&
-            child !== gameState.scoreText &&
-            child !== gameState.healthText &&
-            child !== gameState.roundText) {
-          child.setVisible(false);
-        }
-      });
+    // Registered before the action handlers, so the key that starts a capture isn't captured
+    this.input.keyboard.on('keydown', event => this.onCaptureKey(event));
 
-      // Start loading screen directly (skip company logo)
-      console.log('Starting loading screen...');
-      GameLogicSystem.runLoadingScreen.call(scene);
-    };
+    InputSystem.on(this, 'up', () => this.idle() && this.select(Phaser.Math.Wrap(this.selected - 1, 0, this.rows.length), this.column));
+    InputSystem.on(this, 'down', () => this.idle() && this.select(Phaser.Math.Wrap(this.selected + 1, 0, this.rows.length), this.column));
+    InputSystem.on(this, 'left', () => this.idle() && this.select(this.selected, Phaser.Math.Wrap(this.column - 1, 0, 3)));
+    InputSystem.on(this, 'right', () => this.idle() && this.select(this.selected, Phaser.Math.Wrap(this.column + 1, 0, 3)));
+    InputSystem.on(this, 'confirm', () => this.idle() && this.activate(this.selected, this.column));
+    InputSystem.on(this, 'back', () => this.idle() && this.close());
+    this.input.keyboard.on('keydown-DELETE', () => this.idle() && this.clearKey(this.selected, this.column));
 
-    startButton.on('pointerdown', startGame);
+    this.select(0, 0);
+  }
 
-    // Add spacebar support for start button
-    const spaceKey = scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
-    spaceKey.on('down', startGame);
-  },
+  getColumnX(column) {
+    return 390 + column * 145;
+  }
 
-  startActualGame() {
-    console.log('Intro complete, starting game...');
+  addRow(row) {
+    const index = this.rows.length;
+    const y = 125 + index * 34;
+    const label = this.add.text(50, y, row.label, {
+      fontSize: '12px',
+      fill: '#ffffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0, 0.5);
+    label.setInteractive({ useHandCursor: true });
+    label.on('pointerover', () => this.idle() && this.select(index, this.column));
+    label.on('pointerdown', () => this.idle() && this.activate(index, this.column));
+
+    const cells = row.action ? [0, 1, 2].map(column => {
+      const cell = this.add.text(this.getColumnX(column), y, '', {
+        fontSize: '12px',
+        fill: '#00ff00',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+      cell.setInteractive({ useHandCursor: true });
+      cell.on('pointerover', () => this.idle() && this.select(index, column));
+      cell.on('pointerdown', () => this.idle() && this.activate(index, column));
+      return cell;
+    }) : [];
+
+    this.rows.push(Object.assign({ labelText: label, cells }, row));
+  }
 
-    // Stop intro music
-    AudioSystem.stopIntroMusic();
+  // Menu input is ignored while waiting for a key or button to bind
+  idle() {
+    return this.capture === null;
+  }
 
-    // Start the actual game
-    if (gameState.player) gameState.player.setVisible(true);
-    if (gameState.enemies) gameState.enemies.setVisible(true);
-    if (gameState.collectibles) gameState.collectibles.setVisible(true);
-    if (gameState.scoreText) gameState.scoreText.setVisible(true);
-    if (gameState.healthText) gameState.healthText.setVisible(true);
-    if (gameState.roundText) gameState.roundText.setVisible(true);
+  select(index, column) {
+    this.selected = index;
+    this.column = column;
+    this.refresh();
+  }
 
-    // Play final start sound
-    AudioSystem.playStartSound();
+  activate(index, column) {
+    const row = this.rows[index];
+    if (!row) return;
 
-    // Mark intro as complete
-    gameState.introComplete = true;
-  },
+    this.selected = index;
+    this.column = column;
+    if (row.run) {
+      row.run();
+    } else {
+      // Buttons already down (the one that opened the capture) have to be released first
+      this.capture = { action: row.action, column, heldButtons: InputSystem.getHeldButtons(), done: false };
+      AudioSystem.playConfirmSound();
+    }
+    this.refresh();
+  }
 
-  run80sIntroSequence() {
-    const scene = this;
-    let stage = 0;
-    gameState.introElements = [];
+  onCaptureKey(event) {
+    const capture = this.capture;
+    if (!capture || capture.done) return;
 
-    function nextStage() {
-      // Clear previous stage elements
-      gameState.introElements.forEach(element => {
-        if (element && element.destroy) element.destroy();
-      });
-      gameState.introElements = [];
+    const name = InputSystem.getKeyName(event.keyCode);
+    if (event.keyCode === Phaser.Input.Keyboard.KeyCodes.ESC) {
+      this.finishCapture();
+    } else if (capture.column < 2 && name) {
+      if (InputSystem.setKey(capture.action, capture.column, name)) {
+        this.finishCapture();
+      } else {
+        // Keep waiting for another key
+        capture.refused = name;
+        AudioSystem.playBackSound();
+        this.refresh();
+      }
+    }
+  }
 
-      stage++;
-      createStage(stage);
+  // Pad buttons are polled; a newly pressed one completes a pad capture
+  update() {
+    const capture = this.capture;
+    if (!capture) return;
+
+    if (capture.done) {
+      this.capture = null;
+      this.refresh();
+      return;
     }
 
-    function createStage(stageNumber) {
-      switch(stageNumber) {
-        case 1: // Company Logo Reveal
-          IntroSystem.createCompanyLogo(scene);
-          break;
-        case 2: // Loading Screen
-          GameLogicSystem.createLoadingScreen.call(scene);
-          break;
-        case 3: // Start Game
-          GameLogicSystem.startActualGame.call(scene);
-          break;
-      }
+    const held = InputSystem.getHeldButtons();
+    capture.heldButtons = capture.heldButtons.filter(button => held.includes(button));
+    const pressed = held.find(button => !capture.heldButtons.includes(button));
+    if (capture.column === 2 && pressed !== undefined) {
+      InputSystem.setButton(capture.action, pressed);
+      this.finishCapture();
     }
+  }
+
+  // The capture is released on the next update, after this press has been through the action handlers
+  finishCapture() {
+    this.capture.done = true;
+    AudioSystem.playConfirmSound();
+    this.refresh();
+  }
 
-    // Set up next stage function
-    GameLogicSystem.nextStage = nextStage;
+  // Delete unbinds a key, as long as the action keeps the other one
+  clearKey(index, column) {
+    const row = this.rows[index];
+    if (!row || !row.action || column > 1) return;
 
-    // Start the intro sequence
-    createStage(1);
+    const keys = InputSystem.getBindings().keys[row.action];
+    if (keys[1 - column]) {
+      InputSystem.setKey(row.action, column, null);
+      AudioSystem.playBackSound();
+      this.refresh();
+    }
   }
-};
 
-// Legacy function wrappers for backward compatibility
-function run80sIntroSequence() {
-  GameLogicSystem.run80sIntroSequence.call(this);
-}
+  refresh() {
+    const bindings = InputSystem.getBindings();
+    this.rows.forEach((row, index) => {
+      const active = index === this.selected;
+      row.labelText.setText(active ? `> ${row.label}` : row.label);
+      row.labelText.setFill(active ? '#ffff00' : '#ffffff');
+
+      row.cells.forEach((cell, column) => {
+        const waiting = this.capture && !this.capture.done && this.capture.action === row.action && this.capture.column === column;
+        let label = column < 2 ? bindings.keys[row.action][column] || '-' : InputSystem.describeButton(bindings.buttons[row.action]);
+        if (waiting) label = '...';
+        cell.setText(label);
+        cell.setFill(active && column === this.column ? '#ffff00' : '#00ff00');
+      });
+    });
 
-function runCompanyLogoSequence() {
-  GameLogicSystem.runCompanyLogoSequence.call(this);
+    if (this.capture && !this.capture.done) {
+      if (this.capture.refused) {
+        this.prompt.setText(`${this.capture.refused} IS ANOTHER ACTION'S ONLY KEY  (ESC CANCELS)`);
+      } else {
+        this.prompt.setText(this.capture.column < 2 ? 'PRESS A KEY  (ESC CANCELS)' : 'PRESS A PAD BUTTON  (ESC CANCELS)');
+      }
+    } else {
+      this.prompt.setText(`${InputSystem.describe('confirm')} REBIND  DELETE CLEAR  ${InputSystem.describe('back')} BACK`);
+    }
+  }
+
+  close() {
+    AudioSystem.playBackSound();
+    this.scene.start('Options', { from: this.from });
+  }
 }
 
-function preload() {
-  // Load sprites
-  this.load.svg('player', 'assets/player.svg');
-  this.load.svg('enemy-random', 'assets/enemy-random.svg');
-  this.load.svg('enemy-chaser', 'assets/enemy-chaser.svg');
-  this.load.svg('enemy-patrol', 'assets/enemy-patrol.svg');
-  this.load.svg('collectible', 'assets/collectible.svg');
+/**
+ * Achievements Scene
+ * Gallery of every achievement from the title screen: unlocked ones lit, locked ones
+ * greyed out, each with a progress bar toward its goal
+ */
+class AchievementsScene extends Phaser.Scene {
+  constructor() {
+    super('Achievements');
+  }
+
+  create() {
+    const definitions = AchievementSystem.DEFINITIONS;
+    const unlockedCount = definitions.filter(definition => AchievementSystem.isUnlocked(definition)).length;
 
-  // Load logo for intro
-  this.load.svg('logo', 'assets/logo.svg');
-}
+    this.add.rectangle(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
+      GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, 0x000000, 0.9);
 
-function create() {
-  const scene = this;
+    const title = this.add.text(GAME_CONSTANTS.WIDTH / 2, 60, 'ACHIEVEMENTS', {
+      fontSize: '28px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    title.setShadow(2, 2, '#000000', 4);
+    this.add.text(GAME_CONSTANTS.WIDTH / 2, 100, `${unlockedCount}/${definitions.length} UNLOCKED`, {
+      fontSize: '12px',
+      fill: '#ffd700',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
 
-  // Create player sprite
-  gameState.player = scene.add.sprite(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, 'player');
+    definitions.forEach((definition, index) => this.addEntry(definition, index));
 
-  // Keyboard controls
-  gameState.cursors = scene.input.keyboard.createCursorKeys();
+    this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 30, `${InputSystem.describe('back')} BACK`, {
+      fontSize: '10px',
+      fill: '#888888',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
 
-  // Add return to start screen function
-  scene.returnToStartScreen = function() {
-    console.log('=== RETURNING TO START SCREEN ===');
+    InputSystem.on(this, ['back', 'confirm'], () => this.close());
+  }
+
+  // Two columns of cards: title, description and a progress bar with its count
+  addEntry(definition, index) {
+    const width = 360;
+    const x = index % 2 === 0 ? 30 : GAME_CONSTANTS.WIDTH - 30 - width;
+    const y = 130 + Math.floor(index / 2) * 104;
+    const unlocked = AchievementSystem.isUnlocked(definition);
+    const progress = AchievementSystem.getProgress(definition);
+
+    this.add.rectangle(x, y, width, 92, unlocked ? 0x002200 : 0x111111)
+      .setOrigin(0)
+      .setStrokeStyle(2, unlocked ? 0x00ff00 : 0x444444);
+    this.add.text(x + 12, y + 14, definition.title, {
+      fontSize: '12px',
+      fill: unlocked ? '#ffff00' : '#888888',
+      fontFamily: 'Press Start 2P'
+    });
+    this.add.text(x + width - 12, y + 14, unlocked ? 'UNLOCKED' : 'LOCKED', {
+      fontSize: '8px',
+      fill: unlocked ? '#00ff00' : '#666666',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(1, 0);
+    this.add.text(x + 12, y + 38, definition.description, {
+      fontSize: '8px',
+      fill: unlocked ? '#ffffff' : '#aaaaaa',
+      fontFamily: 'Press Start 2P'
+    });
+
+    const barWidth = width - 120;
+    this.add.rectangle(x + 12, y + 66, barWidth, 10, 0x333333).setOrigin(0, 0.5);
+    if (progress > 0) {
+      this.add.rectangle(x + 12, y + 66, barWidth * progress / definition.goal, 10, unlocked ? 0x00ff00 : 0x00ffff).setOrigin(0, 0.5);
+    }
+    this.add.text(x + width - 12, y + 66, `${progress}/${definition.goal}`, {
+      fontSize: '8px',
+      fill: unlocked ? '#00ff00' : '#aaaaaa',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(1, 0.5);
+  }
+
+  close() {
+    AudioSystem.playBackSound();
+    AttractModeSystem.showStage(this, 'title', gameState.credits === 0);
+  }
+}
+
+/**
+ * Editor Scene
+ * Level editor reached from the title: paint walls, GPU spawns, enemy spawns and the player
+ * start on the arena grid, with undo/redo, play-testing and JSON import/export
+ */
+class EditorScene extends Phaser.Scene {
+  constructor() {
+    super('Editor');
+  }
+
+  create(data = {}) {
+    this.grid = ArenaSystem.buildGrid([]);
+    this.tools = ['wall', 'gpu', 'enemy', 'player', 'erase'];
+    this.enemyTypes = Object.keys(EnemySystem.TYPES).filter(type => EnemySystem.isSpawnable(type));
+    this.tool = this.tool || 'wall';
+    this.enemyType = this.enemyType || this.enemyTypes[0];
+    this.cursor = this.cursor || { col: this.grid.cols >> 1, row: this.grid.rows >> 1 };
+    this.stroke = null;
+
+    // The level survives trips to the title; a play-test also keeps the undo history
+    if (data.level) {
+      this.loadLevel(data.level);
+    } else if (!this.cells) {
+      this.loadLevel(LevelSystem.createEmpty());
+    }
+    if (!data.resume) {
+      this.history = [];
+      this.future = [];
+    }
 
-    // Stop intro music if playing
     AudioSystem.stopIntroMusic();
+    this.input.mouse.disableContextMenu();
+
+    this.drawGrid();
+    this.content = this.add.container(0, 0);
+    this.cursorBox = this.add.rectangle(0, 0, ArenaSystem.CELL_SIZE, ArenaSystem.CELL_SIZE)
+      .setStrokeStyle(2, 0xffff00).setOrigin(0);
+
+    // The rows under the game's HUD can't be painted, so the editor keeps its own bar there
+    this.add.rectangle(0, 0, GAME_CONSTANTS.WIDTH, LevelSystem.HUD_ROWS * ArenaSystem.CELL_SIZE, 0x000000, 0.85).setOrigin(0);
+    this.statusText = this.add.text(GAME_CONSTANTS.BOUNDS_PADDING, 6, '', {
+      fontSize: '10px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    });
+    this.add.text(GAME_CONSTANTS.BOUNDS_PADDING, 24,
+      `1-5 TOOL  T TYPE  Z/Y UNDO/REDO  ${InputSystem.describe('pause')} PLAY  X EXPORT  I IMPORT  N NEW  ${InputSystem.describe('back')} EXIT`, {
+        fontSize: '8px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      });
+
+    this.input.on('pointermove', pointer => this.onPointerMove(pointer));
+    this.input.on('pointerdown', pointer => this.onPointerDown(pointer));
+    this.input.on('pointerup', () => this.endStroke());
+    this.input.on('pointerupoutside', () => this.endStroke());
+
+    InputSystem.on(this, ['up', 'down', 'left', 'right'], action => this.moveCursor(action));
+    InputSystem.on(this, 'confirm', () => this.paintAtCursor(this.tool));
+    InputSystem.on(this, 'pause', () => this.playtest());
+    InputSystem.on(this, 'back', () => {
+      AudioSystem.playBackSound();
+      AttractModeSystem.start(this);
+    });
+    ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE'].forEach((key, index) => {
+      this.input.keyboard.on(`keydown-${key}`, () => this.selectTool(this.tools[index]));
+    });
+    this.input.keyboard.on('keydown-T', () => {
+      this.enemyType = this.enemyTypes[(this.enemyTypes.indexOf(this.enemyType) + 1) % this.enemyTypes.length];
+      this.selectTool('enemy');
+    });
+    this.input.keyboard.on('keydown-DELETE', () => this.paintAtCursor('erase'));
+    this.input.keyboard.on('keydown-Z', event => (event.shiftKey ? this.redo() : this.undo()));
+    this.input.keyboard.on('keydown-Y', () => this.redo());
+    this.input.keyboard.on('keydown-N', () => {
+      this.change(() => this.loadLevel(LevelSystem.createEmpty()));
+      this.flash('NEW LEVEL');
+    });
+    this.input.keyboard.on('keydown-X', () => this.exportLevel());
+    this.input.keyboard.on('keydown-I', () => LevelSystem.importFile(this, level => {
+      this.change(() => this.loadLevel(level));
+      AudioSystem.playConfirmSound();
+      this.flash('LEVEL LOADED');
+    }));
+
+    this.refresh();
+  }
 
-    // Reset game state
-    gameState.score = 0;
-    gameState.health = GAME_CONSTANTS.MAX_HEALTH;
-    gameState.round = 1;
-    gameState.enemySpeed = GAME_CONSTANTS.ENEMY_SPEED;
-    gameState.introComplete = false;
-    gameState.gameOver = false;
-
-    // Hide all game elements
-    if (gameState.player) gameState.player.setVisible(false);
-    if (gameState.enemies) gameState.enemies.setVisible(false);
-    if (gameState.collectibles) gameState.collectibles.setVisible(false);
-    if (gameState.scoreText) gameState.scoreText.setVisible(false);
-    if (gameState.healthText) gameState.healthText.setVisible(false);
-    if (gameState.roundText) gameState.roundText.setVisible(false);
-
-    // Clear any game over elements
-    this.children.list.forEach(child => {
-      if (child.text && (child.text.includes('Game Over') || child.text.includes('AI GOT ALL GPUS') ||
-          child.text.includes('Restart') || child.text.includes('OR PRESS SPACEBAR'))) {
-        child.destroy();
-      }
-    });
-
-    // Reset enemy and collectible groups
-    if (gameState.enemies) {
-      gameState.enemies.clear(true, true);
-      // Recreate initial enemies
-      for (let i = 0; i < GAME_CONSTANTS.ENEMY_COUNT; i++) {
-        const x = Phaser.Math.Between(GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
-        const y = Phaser.Math.Between(GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
-        const enemy = GameFactory.createEnemy(this, x, y, 'random');
-        if (enemy) {
-          gameState.enemies.add(enemy);
-          enemy.setVisible(false);
+  // Cells hold null, 'wall', 'gpu' or an enemy type; the player start is kept apart
+  loadLevel(level) {
+    const cols = this.grid.cols;
+    this.cells = new Array(cols * this.grid.rows).fill(null);
+    level.walls.forEach(([col, row, width, height]) => {
+      for (let r = row; r < row + height; r++) {
+        for (let c = col; c < col + width; c++) {
+          this.cells[r * cols + c] = 'wall';
         }
       }
-    }
+    });
+    level.collectibles.forEach(([col, row]) => { this.cells[row * cols + col] = 'gpu'; });
+    level.enemies.forEach(enemy => { this.cells[enemy.row * cols + enemy.col] = enemy.type; });
+    this.player = level.player[1] * cols + level.player[0];
+  }
 
-    if (gameState.collectibles) {
-      gameState.collectibles.clear(true, true);
-      // Recreate initial collectibles
-      for (let i = 0; i < GAME_CONSTANTS.COLLECTIBLE_COUNT; i++) {
-        const x = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-        const y = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-        const collectible = GameFactory.createCollectible(this, x, y);
-        if (collectible) {
-          gameState.collectibles.add(collectible);
-          collectible.setVisible(false);
+  // Walls go out as one rectangle per horizontal run of wall cells
+  toLevel() {
+    const { cols, rows } = this.grid;
+    const level = { version: LevelSystem.VERSION, walls: [], collectibles: [], enemies: [], player: [this.player % cols, Math.floor(this.player / cols)] };
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const cell = this.cells[row * cols + col];
+        if (cell === 'wall') {
+          const last = level.walls[level.walls.length - 1];
+          if (last && last[1] === row && last[0] + last[2] === col) {
+            last[2]++;
+          } else {
+            level.walls.push([col, row, 1, 1]);
+          }
+        } else if (cell === 'gpu') {
+          level.collectibles.push([col, row]);
+        } else if (cell) {
+          level.enemies.push({ type: cell, col, row });
         }
       }
     }
+    return level;
+  }
+
+  snapshot() {
+    return JSON.stringify({ cells: this.cells, player: this.player });
+  }
 
-    // Update HUD text
-    if (gameState.scoreText) gameState.scoreText.setText(`Score: ${gameState.score}`);
-    if (gameState.healthText) gameState.healthText.setText(`Health: ${gameState.health}`);
-    if (gameState.roundText) gameState.roundText.setText(`Round: ${gameState.round}`);
+  restore(snapshot) {
+    const state = JSON.parse(snapshot);
+    this.cells = state.cells;
+    this.player = state.player;
+  }
 
-    // Show title screen
-    GameLogicSystem.showTitleScreen.call(this);
-  };
+  // One undoable step: remember the state before, keep it only if something changed
+  change(edit) {
+    const before = this.snapshot();
+    edit();
+    this.commit(before);
+  }
 
-  // Create enemies group and populate
-  gameState.enemies = scene.add.group();
-  for (let i = 0; i < GAME_CONSTANTS.ENEMY_COUNT; i++) {
-    const x = Phaser.Math.Between(GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
-    const y = Phaser.Math.Between(GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
-    const enemy = GameFactory.createEnemy(scene, x, y, 'random');
-    if (enemy) {
-      gameState.enemies.add(enemy);
-      enemy.setVisible(false);
-    }
+  commit(before) {
+    if (before === this.snapshot()) return;
+    this.history.push(before);
+    if (this.history.length > GAME_CONSTANTS.EDITOR_HISTORY_LIMIT) this.history.shift();
+    this.future = [];
+    this.refresh();
+  }
+
+  undo() {
+    if (this.history.length === 0) return;
+    this.future.push(this.snapshot());
+    this.restore(this.history.pop());
+    AudioSystem.playBackSound();
+    this.refresh();
+  }
+
+  redo() {
+    if (this.future.length === 0) return;
+    this.history.push(this.snapshot());
+    this.restore(this.future.pop());
+    AudioSystem.playBlipSound();
+    this.refresh();
   }
 
-  // Create collectibles group and populate
-  gameState.collectibles = scene.add.group();
-  for (let i = 0; i < GAME_CONSTANTS.COLLECTIBLE_COUNT; i++) {
-    const x = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-    const y = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-    const collectible = GameFactory.createCollectible(scene, x, y);
-    if (collectible) {
-      gameState.collectibles.add(collectible);
-      collectible.setVisible(false);
+  // Paint one cell with a tool; the HUD rows are left clear and the player start can only be moved
+  paint(index, tool) {
+    if (index < LevelSystem.HUD_ROWS * this.grid.cols) return;
+    if (tool === 'player') {
+      this.cells[index] = null;
+      this.player = index;
+    } else if (index !== this.player) {
+      this.cells[index] = { wall: 'wall', gpu: 'gpu', enemy: this.enemyType, erase: null }[tool];
     }
   }
 
-  // Create HUD elements
-  GameFactory.createHUDText(scene);
+  paintAtCursor(tool) {
+    this.change(() => this.paint(this.cursor.row * this.grid.cols + this.cursor.col, tool));
+  }
 
-  // Start with title screen (keeping start button and loading screen)
-  console.log('=== CREATE() FUNCTION CALLED ===');
-  console.log('Starting title screen...');
-  GameLogicSystem.showTitleScreen.call(scene);
+  getPointerCell(pointer) {
+    const col = Phaser.Math.Clamp(Math.floor(pointer.x / ArenaSystem.CELL_SIZE), 0, this.grid.cols - 1);
+    const row = Phaser.Math.Clamp(Math.floor(pointer.y / ArenaSystem.CELL_SIZE), 0, this.grid.rows - 1);
+    return { col, row };
+  }
 
-  // Initially hide all game elements
-  if (gameState.player) gameState.player.setVisible(false);
-  if (gameState.enemies) gameState.enemies.setVisible(false);
-  if (gameState.collectibles) gameState.collectibles.setVisible(false);
-}
+  // A drag is one stroke (one undo step); the right button erases
+  onPointerDown(pointer) {
+    this.cursor = this.getPointerCell(pointer);
+    this.stroke = { before: this.snapshot(), tool: pointer.rightButtonDown() ? 'erase' : this.tool };
+    this.paint(this.cursor.row * this.grid.cols + this.cursor.col, this.stroke.tool);
+    this.refresh();
+  }
 
-function update() {
-  // Handle escape key to return to start screen
-  const escapeKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
-  if (escapeKey.isDown && !gameState.escapePressed) {
-    gameState.escapePressed = true;
-    console.log('ESC pressed - returning to start screen');
-    AudioSystem.createBeep(400, 0.1, 'square', 0.3);
-    this.time.delayedCall(100, () => this.returnToStartScreen());
-    return;
+  onPointerMove(pointer) {
+    const cell = this.getPointerCell(pointer);
+    if (cell.col === this.cursor.col && cell.row === this.cursor.row) return;
+    this.cursor = cell;
+    if (this.stroke && this.stroke.tool !== 'player') {
+      this.paint(cell.row * this.grid.cols + cell.col, this.stroke.tool);
+    }
+    this.refresh();
   }
-  if (!escapeKey.isDown) {
-    gameState.escapePressed = false;
+
+  endStroke() {
+    if (!this.stroke) return;
+    const before = this.stroke.before;
+    this.stroke = null;
+    this.commit(before);
   }
 
-  // Stop game if game over
-  if (gameState.gameOver) {
-    return;
+  moveCursor(action) {
+    const { cols, rows } = this.grid;
+    const cursor = this.cursor;
+    if (action === 'left') cursor.col = Phaser.Math.Wrap(cursor.col - 1, 0, cols);
+    if (action === 'right') cursor.col = Phaser.Math.Wrap(cursor.col + 1, 0, cols);
+    if (action === 'up') cursor.row = Phaser.Math.Wrap(cursor.row - 1, LevelSystem.HUD_ROWS, rows);
+    if (action === 'down') cursor.row = Phaser.Math.Wrap(cursor.row + 1, LevelSystem.HUD_ROWS, rows);
+    this.refresh();
   }
 
-  // Player movement controls
-  if (gameState.cursors && gameState.cursors.left && gameState.cursors.left.isDown) {
-    if (gameState.player) gameState.player.x -= GAME_CONSTANTS.PLAYER_SPEED;
+  selectTool(tool) {
+    this.tool = tool;
+    AudioSystem.playBlipSound();
+    this.refresh();
   }
-  if (gameState.cursors && gameState.cursors.right && gameState.cursors.right.isDown) {
-    if (gameState.player) gameState.player.x += GAME_CONSTANTS.PLAYER_SPEED;
+
+  // Only levels that validate can be played or saved
+  checkLevel() {
+    const level = this.toLevel();
+    const errors = LevelSystem.validate(level);
+    if (errors.length > 0) {
+      console.warn(`🧱 LEVEL: ${errors.join('; ')}`);
+      AudioSystem.playBackSound();
+      this.flash(errors[0].toUpperCase(), '#ff0000');
+      return null;
+    }
+    return level;
   }
-  if (gameState.cursors && gameState.cursors.up && gameState.cursors.up.isDown) {
-    if (gameState.player) gameState.player.y -= GAME_CONSTANTS.PLAYER_SPEED;
+
+  playtest() {
+    const level = this.checkLevel();
+    if (!level) return;
+    AudioSystem.unlock();
+    AudioSystem.playConfirmSound();
+    this.scene.start('Game', { run: RunState.create({ level, playtest: true }) });
   }
-  if (gameState.cursors && gameState.cursors.down && gameState.cursors.down.isDown) {
-    if (gameState.player) gameState.player.y += GAME_CONSTANTS.PLAYER_SPEED;
+
+  exportLevel() {
+    const level = this.checkLevel();
+    if (!level) return;
+    AudioSystem.playBlipSound();
+    LevelSystem.exportFile(level);
+    this.flash('LEVEL SAVED');
   }
 
-  // Keep player within bounds
-  if (gameState.player) {
-    gameState.player.x = Phaser.Math.Clamp(gameState.player.x,
-      GAME_CONSTANTS.PLAYER_SIZE,
-      GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
-    gameState.player.y = Phaser.Math.Clamp(gameState.player.y,
-      GAME_CONSTANTS.PLAYER_SIZE,
-      GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
+  flash(message, color = '#ffff00') {
+    this.message = { text: message, color };
+    this.refresh();
+    if (this.messageTimer) this.messageTimer.remove();
+    this.messageTimer = this.time.delayedCall(2000, () => {
+      this.message = null;
+      this.refresh();
+    });
   }
 
-  // Spacebar for action - only allow during specific game states
-  // Block spacebar during active gameplay when no button is showing
-  if (gameState.cursors && gameState.cursors.space && gameState.cursors.space.isDown) {
-    // Only allow spacebar action if:
-    // 1. Intro is not complete (during title screen)
-    // 2. Game is over (during game over screen)
-    // Block during active gameplay when no specific action is available
-    if (!gameState.introComplete || gameState.gameOver) {
-      console.log('Spacebar action allowed - not during active gameplay');
-      // Spacebar action would go here if implemented
-    } else {
-      console.log('Spacebar blocked - no button showing during active gameplay');
-      // Block the spacebar during active gameplay
-      return;
+  drawGrid() {
+    const cell = ArenaSystem.CELL_SIZE;
+    const graphics = this.add.graphics();
+    graphics.lineStyle(1, 0x00ffff, 0.15);
+    for (let col = 1; col < this.grid.cols; col++) {
+      graphics.lineBetween(col * cell, 0, col * cell, GAME_CONSTANTS.HEIGHT);
+    }
+    for (let row = 1; row < this.grid.rows; row++) {
+      graphics.lineBetween(0, row * cell, GAME_CONSTANTS.WIDTH, row * cell);
     }
   }
 
-  // Enemy movement based on type
-  if (gameState.enemies) {
-    gameState.enemies.getChildren().forEach(enemy => {
-      const speed = enemy.type === 'chaser' ? gameState.enemySpeed * 0.3 : gameState.enemySpeed;
-
-      if (enemy.type === 'random') {
-        // Random movement
-        enemy.x += Phaser.Math.Between(-speed, speed);
-        enemy.y += Phaser.Math.Between(-speed, speed);
-      } else if (enemy.type === 'chaser' && gameState.player && gameState.player.visible) {
-        // Chase player
-        const angle = Phaser.Math.Angle.Between(enemy.x, enemy.y, gameState.player.x, gameState.player.y);
-        enemy.x += Math.cos(angle) * speed * 0.8;
-        enemy.y += Math.sin(angle) * speed * 0.8;
-      } else if (enemy.type === 'patrol') {
-        // Patrol movement (change direction every 60 frames)
-        enemy.moveCounter++;
-        if (enemy.moveCounter > 60) {
-          enemy.moveDirection = Phaser.Math.Between(0, 3);
-          enemy.moveCounter = 0;
-        }
+  refresh() {
+    const cell = ArenaSystem.CELL_SIZE;
+    const level = this.toLevel();
+    this.content.removeAll(true);
+
+    const walls = this.add.graphics();
+    ArenaSystem.drawWalls(walls, ArenaSystem.buildGrid(level.walls).walls);
+    this.content.add(walls);
+    level.collectibles.forEach(point => this.content.add(this.addMarker(point, 'collectible')));
+    level.enemies.forEach(enemy => {
+      const marker = this.addMarker([enemy.col, enemy.row], EnemySystem.getType(enemy.type).texture);
+      marker.setScale(EnemySystem.getType(enemy.type).scale || 1);
+      this.content.add(marker);
+    });
+    this.content.add(this.addMarker(level.player, 'player'));
 
-        // Move in current direction
-        switch (enemy.moveDirection) {
-          case 0: enemy.y -= speed * 0.7; break; // up
-          case 1: enemy.y += speed * 0.7; break; // down
-          case 2: enemy.x -= speed * 0.7; break; // left
-          case 3: enemy.x += speed * 0.7; break; // right
-        }
-      }
+    this.cursorBox.setPosition(this.cursor.col * cell, this.cursor.row * cell);
 
-      // Keep within bounds
-      enemy.x = Phaser.Math.Clamp(enemy.x, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
-      enemy.y = Phaser.Math.Clamp(enemy.y, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
-    });
+    const tool = this.tool === 'enemy' ? `ENEMY ${this.enemyType.toUpperCase()}` : this.tool.toUpperCase();
+    if (this.message) {
+      this.statusText.setText(this.message.text).setFill(this.message.color);
+    } else {
+      this.statusText.setText(`TOOL ${tool}  GPUS ${level.collectibles.length}  ENEMIES ${level.enemies.length}  UNDO ${this.history.length}`)
+        .setFill('#00ffff');
+    }
   }
 
-  // Collision detection with collectibles (only during active gameplay)
-  if (gameState.collectibles && gameState.player && gameState.introComplete && !gameState.gameOver) {
-    gameState.collectibles.getChildren().forEach(collectible => {
-      // Only check collision if both entities are visible
-      if (collectible.visible && gameState.player.visible) {
-        const distance = Phaser.Math.Distance.Between(gameState.player.x, gameState.player.y, collectible.x, collectible.y);
-        if (distance < GAME_CONSTANTS.COLLECTIBLE_SIZE) {
-        collectible.setVisible(false);
-        gameState.collectibles.remove(collectible);
-        gameState.score += GAME_CONSTANTS.SCORE_PER_COLLECTIBLE;
-        if (gameState.scoreText) {
-          gameState.scoreText.setText(`Score: ${gameState.score}`);
-        }
+  addMarker(cell, texture) {
+    const point = LevelSystem.getPoint(cell);
+    return this.add.image(point.x, point.y, texture);
+  }
+}
 
-        // Play collect sound
-        AudioSystem.playCollectSound();
-
-        // Check if all collectibles are collected
-        if (gameState.collectibles.getLength() === 0) {
-          // Start new round
-          gameState.round++;
-          if (gameState.roundText) {
-            gameState.roundText.setText(`Round: ${gameState.round}`);
-          }
-          gameState.enemySpeed += 1; // Increase enemy speed each round
-
-          // Play new round sound
-          AudioSystem.playNewRoundSound();
-
-          // Respawn collectibles
-          for (let i = 0; i < GAME_CONSTANTS.COLLECTIBLE_COUNT; i++) {
-            const x = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-            const y = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-            const newCollectible = GameFactory.createCollectible(this, x, y);
-            if (newCollectible) {
-              gameState.collectibles.add(newCollectible);
-            }
-          }
+/**
+ * Game Over Scene
+ * Game over message, high score name entry and the restart prompt
+ */
+class GameOverScene extends Phaser.Scene {
+  constructor() {
+    super('GameOver');
+  }
 
-          // Add new enemies with different types from round 2
-          if (gameState.round >= 2) {
-            const enemyType = Phaser.Math.RND.pick(gameState.enemyTypes);
-            const x = Phaser.Math.Between(GAME_CONSTANTS.ENEMY_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.ENEMY_SIZE);
-            const y = Phaser.Math.Between(GAME_CONSTANTS.ENEMY_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.ENEMY_SIZE);
+  create(data = {}) {
+    this.run = data.run || RunState.create();
+
+    const gameOverText = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
+      'Game Over', {
+        fontSize: '32px',
+        fill: '#fff'
+      }).setOrigin(0.5);
+
+    // Add the AI GPU message with 80s retro styling
+    const aiGPUTitle = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 50,
+      'AI GOT ALL GPUS', {
+        fontSize: '28px',
+        fill: '#00ffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+    aiGPUTitle.setShadow(2, 2, '#000000', 4);
+
+    // Add subtitle with dramatic reveal effect
+    const aiSubtitle = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 80,
+      'SYSTEM COMPROMISED', {
+        fontSize: '16px',
+        fill: '#ff0000',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5).setAlpha(0);
+    aiSubtitle.setShadow(1, 1, '#000000', 2);
+
+    // Animate the subtitle reveal
+    this.tweens.add({
+      targets: aiSubtitle,
+      alpha: { from: 0, to: 1 },
+      duration: 1000,
+      ease: 'Power2',
+      delay: 500
+    });
 
-            const newEnemy = GameFactory.createEnemy(this, x, y, enemyType);
-            if (newEnemy) {
-              gameState.enemies.add(newEnemy);
-            }
-          }
-        }
-      }
-      }
+    // Add some dramatic sound effects
+    AudioSystem.createBeep(300, 0.2, 'sawtooth', 0.4);
+    this.time.delayedCall(300, () => AudioSystem.createBeep(200, 0.3, 'sawtooth', 0.3));
+    this.time.delayedCall(600, () => AudioSystem.createBeep(150, 0.4, 'sawtooth', 0.5));
+
+    // Play game over sound
+    AudioSystem.playGameOverSound();
+
+    // The seed reproduces this run via ?seed=
+    this.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING,
+      `SEED ${this.run.seed}`, {
+        fontSize: '12px',
+        fill: '#00ffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0, 1);
+
+    // Coins can go in at any point, and back goes to the title
+    AttractModeSystem.createFooter(this, false);
+    AttractModeSystem.bindCoinInput(this);
+    InputSystem.on(this, 'back', () => {
+      if (HighScoreSystem.isEnteringName()) return; // Back skips the name entry first
+      AudioSystem.playBackSound();
+      AttractModeSystem.start(this);
     });
-  }
 
-  // Collision detection with enemies (only during active gameplay)
-  if (gameState.enemies && gameState.player && gameState.introComplete && !gameState.gameOver) {
-    gameState.enemies.getChildren().forEach(enemy => {
-      // Only check collision if both entities are visible
-      if (enemy.visible && gameState.player.visible) {
-        const distance = Phaser.Math.Distance.Between(gameState.player.x, gameState.player.y, enemy.x, enemy.y);
-        if (distance < GAME_CONSTANTS.ENEMY_SIZE) {
-          gameState.health -= GAME_CONSTANTS.DAMAGE_PER_ENEMY;
-          if (gameState.healthText) {
-            gameState.healthText.setText(`Health: ${gameState.health}`);
-          }
+    if (HighScoreSystem.qualifies(this.run.score)) {
+      // Let the game over message land before switching to name entry
+      this.time.delayedCall(GAME_CONSTANTS.GAME_OVER_SCREEN_DELAY, () => {
+        [gameOverText, aiGPUTitle, aiSubtitle].forEach(element => element.destroy());
+        HighScoreSystem.showNameEntry(this, this.run.score, this.run.round, rank => {
+          HighScoreSystem.showTable(this, rank);
+          this.showRestartPrompt(GAME_CONSTANTS.HEIGHT - 70);
+        });
+      });
+    } else {
+      this.showRestartPrompt(GAME_CONSTANTS.HEIGHT / 2 + 140);
+    }
+  }
 
-          // Play damage sound
-          AudioSystem.playDamageSound();
-
-          if (gameState.health <= 0) {
-            // Game over - stop the game
-            gameState.gameOver = true;
-            if (gameState.player) gameState.player.setVisible(false);
-            if (gameState.enemies) gameState.enemies.setVisible(false);
-            if (gameState.collectibles) gameState.collectibles.setVisible(false);
-
-            const gameOverText = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
-              'Game Over', {
-                fontSize: '32px',
-                fill: '#fff'
-              }).setOrigin(0.5);
-
-            // Add the AI GPU message with 80s retro styling
-            const aiGPUTitle = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 50,
-              'AI GOT ALL GPUS', {
-                fontSize: '28px',
-                fill: '#00ffff',
-                fontFamily: 'Press Start 2P'
-              }).setOrigin(0.5);
-            aiGPUTitle.setShadow(2, 2, '#000000', 4);
-
-            // Add subtitle with dramatic reveal effect
-            const aiSubtitle = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 80,
-              'SYSTEM COMPROMISED', {
-                fontSize: '16px',
-                fill: '#ff0000',
-                fontFamily: 'Press Start 2P'
-              }).setOrigin(0.5).setAlpha(0);
-            aiSubtitle.setShadow(1, 1, '#000000', 2);
-
-            // Animate the subtitle reveal
-            this.tweens.add({
-              targets: aiSubtitle,
-              alpha: { from: 0, to: 1 },
-              duration: 1000,
-              ease: 'Power2',
-              delay: 500
-            });
-
-            // Add some dramatic sound effects
-            AudioSystem.createBeep(300, 0.2, 'sawtooth', 0.4);
-            setTimeout(() => AudioSystem.createBeep(200, 0.3, 'sawtooth', 0.3), 300);
-            setTimeout(() => AudioSystem.createBeep(150, 0.4, 'sawtooth', 0.5), 600);
-
-            const restartButton = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 140,
-              'Restart', {
-                fontSize: '24px',
-                fill: '#fff'
-              }).setOrigin(0.5);
-            restartButton.setInteractive();
-
-            // Add instruction text for spacebar on restart (moved lower)
-            const restartInstruction = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 180,
-              'OR PRESS SPACEBAR', {
-                fontSize: '12px',
-                fill: '#ffff00',
-                fontFamily: 'Press Start 2P'
-              }).setOrigin(0.5);
-
-            // Function to handle restart
-            const restartGame = () => {
-              // Reset game
-              location.reload(); // Simple restart
-            };
-
-            restartButton.on('pointerdown', restartGame);
-
-            // Add spacebar support for restart button
-            const spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
-            spaceKey.on('down', restartGame);
-
-            // Play game over sound
-            AudioSystem.playGameOverSound();
-          }
-        }
+  showRestartPrompt(y) {
+    const restartButton = this.add.text(GAME_CONSTANTS.WIDTH / 2, y,
+      'Restart', {
+        fontSize: '24px',
+        fill: '#fff'
+      }).setOrigin(0.5);
+    restartButton.setInteractive();
+
+    // Add instruction text for spacebar on restart (moved lower)
+    const restartInstruction = this.add.text(GAME_CONSTANTS.WIDTH / 2, y + 40,
+      `OR PRESS ${InputSystem.describe('confirm')}`, {
+        fontSize: '12px',
+        fill: '#ffff00',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+
+    // Restart in place: a fresh run (on the same level, if any) straight into the game scene, paid for with a credit
+    const restartGame = () => AttractModeSystem.pressStart(this, 'Game', { level: this.run.level });
+
+    restartButton.on('pointerdown', () => {
+      if (gameState.credits > 0) {
+        restartGame();
+      } else {
+        AttractModeSystem.insertCoin(this);
       }
     });
+
+    // Confirm (spacebar by default) restarts too
+    InputSystem.on(this, 'confirm', restartGame);
+
+    AttractModeSystem.registerStartPrompt(restartButton, restartInstruction, 'Restart');
+
+    // The run just played can be watched back or saved for sharing
+    const replay = this.run.recording;
+    if (replay) {
+      const watch = () => {
+        AudioSystem.playConfirmSound();
+        ReplaySystem.play(this, replay);
+      };
+      const exportReplay = () => {
+        AudioSystem.playBlipSound();
+        ReplaySystem.exportFile(replay);
+        ReplaySystem.showMessage(this, 'REPLAY SAVED');
+      };
+      [[`${InputSystem.describe('up')} WATCH REPLAY`, watch], [`${InputSystem.describe('down')} EXPORT`, exportReplay]]
+        .forEach(([label, run], index) => {
+          const option = this.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.BOUNDS_PADDING + index * 18, label, {
+            fontSize: '10px',
+            fill: '#ff00ff',
+            fontFamily: 'Press Start 2P'
+          });
+          option.setInteractive({ useHandCursor: true });
+          option.on('pointerdown', run);
+        });
+      InputSystem.on(this, 'up', watch);
+      InputSystem.on(this, 'down', exportReplay);
+    }
   }
 }
+
+const config = {
+  type: Phaser.AUTO,
+  width: GAME_CONSTANTS.WIDTH,
+  height: GAME_CONSTANTS.HEIGHT,
+  parent: 'game-container',
+  scene: [BootScene, IntroScene, TitleScene, LoadingScene, GameScene, TallyScene, PauseScene, OptionsScene, ControlsScene, AchievementsScene, EditorScene, GameOverScene]
+};
+
+const game = new Phaser.Game(config);